@@ -7,10 +7,10 @@ form.addEventListener("submit", async (e) => {
   const formData = new FormData(form);
   const prompt = formData.get("prompt");
   const subjectUrl = formData.get("subject"); // image URL
-  const referenceUrl = formData.get("reference"); // image URL
+  const referenceUrls = (formData.get("references") || "").split(",").map(u => u.trim()).filter(Boolean);
 
   const subject = subjectUrl ? [{ url: subjectUrl, filename: "subject.png" }] : [];
-  const References = referenceUrl ? [{ url: referenceUrl, filename: "reference.png" }] : [];
+  const References = referenceUrls.map((url, i) => ({ url, filename: `reference-${i + 1}.png` }));
 
   outputDiv.innerHTML = "<p>Generating…</p>";
 
@@ -18,11 +18,24 @@ form.addEventListener("submit", async (e) => {
     const response = await fetch("/api/create-record", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ prompt, subject, References })
+      body: JSON.stringify({
+        prompt, subject, References,
+        width: formData.get("width"),
+        height: formData.get("height"),
+        batch: formData.get("batch"),
+      })
     });
 
+    if (response.status === 401) {
+      window.location.href = `/login?next=${encodeURIComponent(window.location.pathname)}`;
+      return;
+    }
     const data = await response.json();
-    outputDiv.innerHTML = `<p>${data.message}</p>`;
+    if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+    outputDiv.innerHTML = "";
+    const message = document.createElement("p");
+    message.textContent = data.message;
+    outputDiv.appendChild(message);
 
     // fetch all records
     const recordsResp = await fetch("/api/records");
@@ -31,9 +44,12 @@ form.addEventListener("submit", async (e) => {
     outputDiv.innerHTML += "<h3>All Records:</h3>";
     recordsData.data.forEach(r => {
       const div = document.createElement("div");
-      div.innerHTML = `<strong>ID:</strong> ${r.id}<br>
-                       <strong>Prompt:</strong> ${r.fields.Prompt || ""}<br>
-                       <strong>Status:</strong> ${r.fields.Status || ""}<br>`;
+      div.className = "record";
+      for (const [label, value] of [["ID", r.id], ["Prompt", r.fields.Prompt || ""], ["Status", r.fields.Status || ""]]) {
+        const strong = document.createElement("strong");
+        strong.textContent = `${label}: `;
+        div.append(strong, value, document.createElement("br"));
+      }
       outputDiv.appendChild(div);
     });
 
@@ -38,12 +38,16 @@ document.addEventListener("DOMContentLoaded", () => {
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(payload),
       });
+      if (response.status === 401) {
+        window.location.href = `/login?next=${encodeURIComponent(window.location.pathname)}`;
+        return;
+      }
 
       const data = await response.json();
       console.log("Server response:", data);
 
-      output.textContent = data.message;
-      output.style.color = "green";
+      output.textContent = response.ok ? data.message : `❌ ${data.error}`;
+      output.style.color = response.ok ? "green" : "red";
     } catch (err) {
       console.error(err);
       output.textContent = "❌ Failed to send request";
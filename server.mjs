@@ -1,13 +1,59 @@
 import 'dotenv/config';
 import express from "express";
 import crypto from "crypto";
-import fetch from "node-fetch";
+import os from "os";
 import cors from "cors"; 
+import multer from "multer";
+import { fileURLToPath } from "url";
+import { registerProvider, getProvider, listProviders } from "./src/providers/index.mjs";
+import { createWaveSpeedProvider } from "./src/providers/wavespeed.mjs";
+import { createFalProvider } from "./src/providers/fal.mjs";
+import { createSimulatedProvider } from "./src/providers/simulated.mjs";
+import { createJobStore } from "./src/store/index.mjs";
+import { withRecordLock } from "./src/recordLock.mjs";
+import { createWebhookAuth, safeEqual } from "./src/webhookAuth.mjs";
+import { summarizeRun, publishRunUpdate, subscribeToRun, recordParams, runCombinations, recordResults, runOutcome, submissionTimes } from "./src/runs.mjs";
+import { withRetry } from "./src/retry.mjs";
+import { createPoller } from "./src/poller.mjs";
+import { findModel, validateParams, describeProvider } from "./src/models.mjs";
+import { expandSweep } from "./src/sweep.mjs";
+import { createSubmitQueue } from "./src/submitQueue.mjs";
+import { createImportManager, parseCsv, parseJsonl, detectFormat } from "./src/imports.mjs";
+import { createIntakeWatcher } from "./src/intake.mjs";
+import { createFileStorage } from "./src/files/index.mjs";
+import { createOutputArchive, downloadOutput } from "./src/files/outputs.mjs";
+import { createImageIngestor } from "./src/images.mjs";
+import { assertPublicUrl } from "./src/safeFetch.mjs";
+import { createKeyStore } from "./src/apiKeys/index.mjs";
+import { createAuth } from "./src/auth.mjs";
+import { createPricing, createBudgetGuard, buildUsageReport, startOfMonth, sumCosts, addCosts, providerEstimates } from "./src/costs.mjs";
+import { createCallbackDispatcher } from "./src/callbacks.mjs";
+import { resolvePipeline, pipelineSteps, requestLineage, resultsAwaitingStep, requestProvider } from "./src/pipeline.mjs";
+import { installStructuredConsole, withLogContext, addLogContext } from "./src/logger.mjs";
+import { createMetrics } from "./src/metrics.mjs";
+import { runExportEntries, writeRunExport } from "./src/exports.mjs";
+import { splitIds } from "./src/fields.mjs";
 
 // --- Configuration Setup ---
 const PORT = process.env.PORT || 4000; 
-const POLLING_INTERVAL_MS = 60000; // Check every 60 seconds
+const POLLING_INTERVAL_MS = Number(process.env.POLLING_INTERVAL_MS) || 60000; // Check every 60 seconds
 const STUCK_TIMEOUT_MINUTES = 3; // Start polling if stuck for 3 minutes
+const POLL_CONCURRENCY = Number(process.env.POLL_CONCURRENCY) || 5; // Provider status checks in flight at once
+const POLL_BACKOFF_BASE_MS = Number(process.env.POLL_BACKOFF_BASE_MS) || 60000; // First re-check delay for a still-processing job
+const POLL_BACKOFF_MAX_MS = Number(process.env.POLL_BACKOFF_MAX_MS) || 15 * 60000;
+const MAX_BATCH_COUNT = Number(process.env.MAX_BATCH_COUNT) || 50; // Upper bound for a single batch's count
+const IMPORT_ROW_CONCURRENCY = Number(process.env.IMPORT_ROW_CONCURRENCY) || 2; // Import rows being set up at once
+const MAX_SWEEP_SUBMISSIONS = Number(process.env.MAX_SWEEP_SUBMISSIONS) || 100; // Safety cap on combinations x count
+const JOB_MAX_AGE_MINUTES = Number(process.env.JOB_MAX_AGE_MINUTES) || 120; // Give up on jobs older than this (timed_out)
+const INTAKE_ENABLED = process.env.INTAKE_ENABLED !== "false"; // Submit rows created in Airtable with Status 'queued'
+const INTAKE_INTERVAL_MS = Number(process.env.INTAKE_INTERVAL_MS) || 30000;
+const INTAKE_CLAIM_TTL_MS = Number(process.env.INTAKE_CLAIM_TTL_MS) || 10 * 60000; // Resume interrupted intake rows after this
+// Per-provider submit limits, e.g. {"WaveSpeed":{"concurrency":2,"ratePerMinute":30}}
+const SUBMIT_QUEUE_LIMITS = jsonObjectEnv("SUBMIT_QUEUE_LIMITS");
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+const SUBMIT_MAX_RETRIES = Number(process.env.SUBMIT_MAX_RETRIES ?? 3); // Retries for 429/5xx/network errors on submit
+const SUBMIT_RETRY_BASE_MS = Number(process.env.SUBMIT_RETRY_BASE_MS) || 1000;
+const PIPELINE_MAX_STEPS = Number(process.env.PIPELINE_MAX_STEPS) || 4; // Post-processing steps a run may chain
 
 // Aggressive cleaning function to remove quotes and whitespace
 const trimAndUnquote = (key) => {
@@ -20,6 +66,24 @@ const trimAndUnquote = (key) => {
   return value;
 };
 
+// JSON object settings (limits, pricing, budgets): bad JSON stops startup with the variable's name.
+function jsonObjectEnv(name) {
+  const raw = (process.env[name] || "").trim();
+  if (!raw) return {};
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch (e) {
+    console.error(`❌ ${name} is not valid JSON: ${e.message}`);
+    process.exit(1);
+  }
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    console.error(`❌ ${name} must be a JSON object`);
+    process.exit(1);
+  }
+  return value;
+}
+
 // Use 'let' to allow trimming and unquoting
 let PUBLIC_BASE_URL = trimAndUnquote(process.env.PUBLIC_BASE_URL);
 let WAVESPEED_API_KEY = trimAndUnquote(process.env.WAVESPEED_API_KEY);
@@ -27,248 +91,579 @@ let FAL_API_TOKEN = trimAndUnquote(process.env.FAL_API_TOKEN); // Key for Fal
 let AIRTABLE_PAT = trimAndUnquote(process.env.AIRTABLE_PAT);
 let AIRTABLE_BASE_ID = trimAndUnquote(process.env.AIRTABLE_BASE_ID);
 let AIRTABLE_TABLE = trimAndUnquote(process.env.AIRTABLE_TABLE);
+let AIRTABLE_LOCKS_TABLE = trimAndUnquote(process.env.AIRTABLE_LOCKS_TABLE) || "Locks"; // Polling lease (Name, Owner, Expires At)
+const JOB_STORE = (trimAndUnquote(process.env.JOB_STORE) || "airtable").toLowerCase(); // "airtable" or "local"
+const LOCAL_STORE_PATH = trimAndUnquote(process.env.LOCAL_STORE_PATH) || "./data/jobs.json";
+let WEBHOOK_SECRET = trimAndUnquote(process.env.WEBHOOK_SECRET);
+const WEBHOOK_MAX_AGE_HOURS = Number(process.env.WEBHOOK_MAX_AGE_HOURS) || 24; // Reject webhook URLs older than this
+let WAVESPEED_WEBHOOK_SECRET = trimAndUnquote(process.env.WAVESPEED_WEBHOOK_SECRET); // Optional, enables WaveSpeed signature checks
+const FAL_VERIFY_WEBHOOKS = trimAndUnquote(process.env.FAL_VERIFY_WEBHOOKS) !== "false";
+// Where finished outputs are copied: "local", "s3" or "none" (keep provider URLs, which expire)
+const OUTPUT_STORAGE = (trimAndUnquote(process.env.OUTPUT_STORAGE) || "local").toLowerCase();
+const OUTPUT_STORAGE_DIR = trimAndUnquote(process.env.OUTPUT_STORAGE_DIR) || "./data/files";
+const OUTPUT_MAX_MB = Number(process.env.OUTPUT_MAX_MB) || 100; // Refuse to archive anything larger
+const THUMBNAIL_SIZE = Number(process.env.THUMBNAIL_SIZE) || 320; // Longest thumbnail edge in pixels
+let S3_ENDPOINT = trimAndUnquote(process.env.S3_ENDPOINT); // e.g. https://s3.us-east-1.amazonaws.com or an R2/MinIO URL
+let S3_REGION = trimAndUnquote(process.env.S3_REGION) || "us-east-1";
+let S3_BUCKET = trimAndUnquote(process.env.S3_BUCKET);
+let S3_ACCESS_KEY_ID = trimAndUnquote(process.env.S3_ACCESS_KEY_ID);
+let S3_SECRET_ACCESS_KEY = trimAndUnquote(process.env.S3_SECRET_ACCESS_KEY);
+const S3_FORCE_PATH_STYLE = trimAndUnquote(process.env.S3_FORCE_PATH_STYLE) !== "false";
+// Subject/reference images: byte cap, accepted types, and the longest edge for models without their own maxInputSize
+const INPUT_IMAGE_MAX_MB = Number(process.env.INPUT_IMAGE_MAX_MB) || 10;
+const INPUT_IMAGE_TYPES = (trimAndUnquote(process.env.INPUT_IMAGE_TYPES) || "image/png,image/jpeg,image/webp").split(",").map(s => s.trim()).filter(Boolean);
+const INPUT_IMAGE_MAX_DIMENSION = Number(process.env.INPUT_IMAGE_MAX_DIMENSION) || 4096;
+const INPUT_IMAGE_DOWNSCALE = process.env.INPUT_IMAGE_DOWNSCALE !== "false"; // Otherwise oversized images are rejected
+const MAX_REFERENCE_IMAGES = Number(process.env.MAX_REFERENCE_IMAGES) || 10;
+const ALLOW_PRIVATE_IMAGE_URLS = process.env.ALLOW_PRIVATE_IMAGE_URLS === "true"; // Local development only
+let ADMIN_API_KEY = trimAndUnquote(process.env.ADMIN_API_KEY); // Built-in admin key, used to create the first real keys
+let SESSION_SECRET = trimAndUnquote(process.env.SESSION_SECRET); // Signs /login sessions; defaults to WEBHOOK_SECRET
+let API_KEYS_TABLE = trimAndUnquote(process.env.API_KEYS_TABLE) || "API Keys";
+const API_KEYS_PATH = trimAndUnquote(process.env.API_KEYS_PATH) || "./data/api-keys.json";
+const DEFAULT_DAILY_QUOTA = process.env.DEFAULT_DAILY_QUOTA ? Number(process.env.DEFAULT_DAILY_QUOTA) : null; // Images per key per UTC day, for keys without their own
+const DEFAULT_MAX_COUNT = process.env.DEFAULT_MAX_COUNT ? Number(process.env.DEFAULT_MAX_COUNT) : null; // Batch count per key, capped by MAX_BATCH_COUNT
+// Per-model price overrides, e.g. {"fal-ai/flux/dev":{"perMegapixel":0.03}}; defaults live on the models
+const MODEL_PRICING = jsonObjectEnv("MODEL_PRICING");
+const DAILY_BUDGET_USD = process.env.DAILY_BUDGET_USD ? Number(process.env.DAILY_BUDGET_USD) : null; // Reject runs beyond this spend per UTC day
+const MONTHLY_BUDGET_USD = process.env.MONTHLY_BUDGET_USD ? Number(process.env.MONTHLY_BUDGET_USD) : null;
+// Per-provider budgets in USD, e.g. {"Fal":{"daily":5,"monthly":100}}
+const PROVIDER_BUDGETS = jsonObjectEnv("PROVIDER_BUDGETS");
+// Browser origins allowed to call the API cross-origin (comma-separated); same-origin only when empty
+const CORS_ORIGINS = (trimAndUnquote(process.env.CORS_ORIGINS) || "").split(",").map(s => s.trim()).filter(Boolean);
+// Completion callbacks: every finished run is POSTed to NOTIFY_URLS (comma-separated) and to its own callbackUrl
+const NOTIFY_URLS = (trimAndUnquote(process.env.NOTIFY_URLS) || "").split(",").map(s => s.trim()).filter(Boolean);
+let CALLBACK_SECRET = trimAndUnquote(process.env.CALLBACK_SECRET); // Signs callbacks; defaults to WEBHOOK_SECRET
+const CALLBACK_LOG_PATH = trimAndUnquote(process.env.CALLBACK_LOG_PATH) || "./data/callbacks.json";
+const CALLBACK_MAX_ATTEMPTS = Number(process.env.CALLBACK_MAX_ATTEMPTS) || 6;
+const CALLBACK_RETRY_BASE_MS = Number(process.env.CALLBACK_RETRY_BASE_MS) || 5000;
+// Upstream API roots, overridable to point at mocks, proxies or regional endpoints
+const WAVESPEED_BASE_URL = trimAndUnquote(process.env.WAVESPEED_BASE_URL) || "https://api.wavespeed.ai/api/v3";
+const FAL_BASE_URL = trimAndUnquote(process.env.FAL_BASE_URL) || "https://api.fal.ai/v1";
+const FAL_JWKS_URL = trimAndUnquote(process.env.FAL_JWKS_URL) || "https://rest.alpha.fal.ai/.well-known/jwks.json";
+const AIRTABLE_API_URL = trimAndUnquote(process.env.AIRTABLE_API_URL) || "https://api.airtable.com/v0";
+// Offline "Simulated" provider: placeholder images and self-sent webhooks, no live accounts needed
+const SIMULATED_PROVIDER = process.env.SIMULATED_PROVIDER === "true";
+const SIMULATED_MIN_DELAY_MS = Number(process.env.SIMULATED_MIN_DELAY_MS ?? 2000);
+const SIMULATED_MAX_DELAY_MS = Number(process.env.SIMULATED_MAX_DELAY_MS ?? 8000);
+const SIMULATED_FAILURE_RATE = Number(process.env.SIMULATED_FAILURE_RATE) || 0; // 0..1, jobs that fail on the "provider"
+const SIMULATED_SUBMIT_ERROR_RATE = Number(process.env.SIMULATED_SUBMIT_ERROR_RATE) || 0; // 0..1, submits answered with 503
+const SIMULATED_WEBHOOK_DROP_RATE = Number(process.env.SIMULATED_WEBHOOK_DROP_RATE) || 0; // 0..1, results only found by polling
+// Logs are one JSON object per line, tagged with run/record/request/provider; "text" keeps plain console output
+const LOG_FORMAT = (trimAndUnquote(process.env.LOG_FORMAT) || "json").toLowerCase();
+let METRICS_TOKEN = trimAndUnquote(process.env.METRICS_TOKEN); // Optional bearer token for /metrics
+const READY_CHECK_CACHE_MS = Number(process.env.READY_CHECK_CACHE_MS) || 15000; // /readyz reuses its upstream checks this long
+const EXPORT_MAX_RUNS = Number(process.env.EXPORT_MAX_RUNS) || 200; // Runs one filtered ZIP export may contain
+
+installStructuredConsole({ format: LOG_FORMAT });
 
 // Check for required environment variables
-// This check now ONLY looks for the keys in your new .env file
-if (!PUBLIC_BASE_URL || !WAVESPEED_API_KEY || !AIRTABLE_PAT || !AIRTABLE_BASE_ID || !AIRTABLE_TABLE || !FAL_API_TOKEN) {
+// Airtable credentials are only needed when Airtable is the job store
+// With the simulated provider on, live providers are optional and only registered when their key is set
+if (!PUBLIC_BASE_URL || (!SIMULATED_PROVIDER && (!WAVESPEED_API_KEY || !FAL_API_TOKEN))) {
   console.error("❌ Missing required env vars. Check your .env file.");
   process.exit(1);
 }
+if (JOB_STORE === "airtable" && (!AIRTABLE_PAT || !AIRTABLE_BASE_ID || !AIRTABLE_TABLE)) {
+  console.error("❌ Missing Airtable env vars (AIRTABLE_PAT, AIRTABLE_BASE_ID, AIRTABLE_TABLE). Set them or use JOB_STORE=local.");
+  process.exit(1);
+}
+const WEBHOOK_SECRET_IS_RANDOM = !WEBHOOK_SECRET;
+if (WEBHOOK_SECRET_IS_RANDOM) {
+  // Without a stable secret, webhook URLs issued before a restart stop validating (polling still recovers those jobs).
+  console.warn("⚠️ WEBHOOK_SECRET not set. Using a random per-process secret.");
+  WEBHOOK_SECRET = crypto.randomBytes(32).toString("hex");
+}
+if (!ADMIN_API_KEY) {
+  console.warn("⚠️ ADMIN_API_KEY not set. Keys can only be managed by admin keys already in the key store.");
+}
+
+// ---------- Provider Registry ----------
+if (WAVESPEED_API_KEY) {
+  registerProvider(createWaveSpeedProvider({ apiKey: WAVESPEED_API_KEY, webhookSecret: WAVESPEED_WEBHOOK_SECRET, baseUrl: WAVESPEED_BASE_URL }));
+}
+if (FAL_API_TOKEN) {
+  registerProvider(createFalProvider({ apiToken: FAL_API_TOKEN, verifyWebhooks: FAL_VERIFY_WEBHOOKS, baseUrl: FAL_BASE_URL, jwksUrl: FAL_JWKS_URL }));
+}
+const simulatedProvider = SIMULATED_PROVIDER ? registerProvider(createSimulatedProvider({
+  publicBaseUrl: PUBLIC_BASE_URL,
+  minDelayMs: SIMULATED_MIN_DELAY_MS,
+  maxDelayMs: SIMULATED_MAX_DELAY_MS,
+  failureRate: SIMULATED_FAILURE_RATE,
+  submitErrorRate: SIMULATED_SUBMIT_ERROR_RATE,
+  webhookDropRate: SIMULATED_WEBHOOK_DROP_RATE,
+})) : null;
+if (simulatedProvider) console.warn("⚠️ Simulated provider enabled: jobs on it produce placeholder images.");
+
+const webhookAuth = createWebhookAuth({ secret: WEBHOOK_SECRET, maxAgeMs: WEBHOOK_MAX_AGE_HOURS * 60 * 60 * 1000 });
 
 const app = express();
-app.use(cors());
-app.use(express.json({ limit: "50mb" })); 
+// Every request gets its own log context; handlers add the run/record/request they work on.
+app.use((req, res, next) => withLogContext({}, next));
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false, credentials: true }));
+// Keep the raw body around: provider webhook signatures are computed over the exact bytes sent.
+app.use(express.json({ limit: "50mb", verify: (req, _res, buf) => { req.rawBody = buf.toString("utf8"); } })); 
 app.use(express.urlencoded({ extended: true, limit: "50mb" }));
+app.use(express.static(fileURLToPath(new URL("./Public", import.meta.url))));
 
 const nowISO = () => new Date().toISOString();
+// Records when new request IDs went out, so the poller times each request out on its own age.
+const stampSubmitted = (fields, requestIds) =>
+  ({ "Submitted At": JSON.stringify({ ...submissionTimes(fields), ...Object.fromEntries(requestIds.map(id => [id, nowISO()])) }) });
 
-// ---------- Airtable Functions ----------
-const baseURL = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${encodeURIComponent(AIRTABLE_TABLE)}`;
-const headers = { Authorization: `Bearer ${AIRTABLE_PAT}`, "Content-Type": "application/json" };
+// ---------- Metrics (GET /metrics) ----------
+const metrics = createMetrics({ prefix: "batch_" });
+const submissionsTotal = metrics.counter("submissions_total", "Provider submissions by outcome (failed = gave up after retries).", ["provider", "outcome"]);
+const webhookDeliveriesTotal = metrics.counter("webhook_deliveries_total", "Provider webhook deliveries by outcome.", ["provider", "outcome"]);
+const pollChecksTotal = metrics.counter("poll_checks_total", "Status checks made by the stuck-job poller, by answer.", ["provider", "outcome"]);
+const failuresTotal = metrics.counter("failures_total", "Requests that produced no output, by cause.", ["provider", "cause"]);
+const completionSeconds = metrics.histogram("completion_seconds", "Time from submission to a received result.", ["provider"]);
+const airtableRequestsTotal = metrics.counter("airtable_requests_total", "Airtable API calls by operation and HTTP status.", ["operation", "status"]);
+const airtableErrorsTotal = metrics.counter("airtable_errors_total", "Airtable API calls that failed (HTTP 4xx/5xx or network error).", ["operation", "status"]);
+const airtableRateLimitedTotal = metrics.counter("airtable_rate_limited_total", "Airtable API calls answered with 429.", ["operation"]);
+metrics.gauge("uptime_seconds", "Seconds since the process started.", [], () => [{ value: Math.round(process.uptime()) }]);
+metrics.gauge("memory_rss_bytes", "Resident memory of the process.", [], () => [{ value: process.memoryUsage().rss }]);
 
-async function createRow(fields) {
-  const res = await fetch(baseURL, { method: "POST", headers, body: JSON.stringify({ records: [{ fields }] }) });
-  const txt = await res.text();
-  if (!res.ok) throw new Error(`Airtable create failed: ${res.status} ${txt}`);
-  const data = JSON.parse(txt);
-  return data.records?.[0]?.id;
+function recordAirtableResponse({ operation, status }) {
+  airtableRequestsTotal.inc({ operation, status });
+  if (status === 429) airtableRateLimitedTotal.inc({ operation });
+  if (status === "network_error" || status >= 400) airtableErrorsTotal.inc({ operation, status });
 }
 
-async function patchRow(id, fields) {
-  const res = await fetch(`${baseURL}/${id}`, { method: "PATCH", headers, body: JSON.stringify({ fields }) });
-  if (!res.ok) throw new Error(`Airtable patch ${res.status}: ${await res.text()}`);
+// Submission times for completion_seconds. They live in memory only: after a restart, generation
+// requests fall back to the row's "Created At" and pipeline steps are not timed.
+const MAX_TRACKED_SUBMISSIONS = 50000;
+const submittedAt = new Map(); // requestId -> ms
+
+function trackSubmission(requestId) {
+  submittedAt.set(requestId, Date.now());
+  if (submittedAt.size > MAX_TRACKED_SUBMISSIONS) submittedAt.delete(submittedAt.keys().next().value);
 }
 
-async function getRow(recordId) {
-  const res = await fetch(`${baseURL}/${recordId}`, { headers });
-  if (!res.ok) throw new Error(`Airtable get failed: ${res.status}`);
-  return res.json();
+function observeCompletion(provider, requestId, fields) {
+  const started = submittedAt.get(requestId) ?? (requestLineage(fields)[requestId] ? NaN : Date.parse(fields["Created At"] || ""));
+  submittedAt.delete(requestId);
+  if (Number.isFinite(started)) completionSeconds.observe({ provider }, (Date.now() - started) / 1000);
 }
 
-async function getPendingRows() {
-    const filter = `AND(Status='processing', IS_BEFORE(Last Update, DATEADD(NOW(), -${STUCK_TIMEOUT_MINUTES}, 'minutes')))`
-    const url = `${baseURL}?filterByFormula=${encodeURIComponent(filter)}`;
-    const res = await fetch(url, { headers });
-    if (!res.ok) throw new Error(`Airtable query failed: ${res.status}`);
-    const data = await res.json();
-    return data.records || [];
+// ---------- Job Store (Airtable or local file) ----------
+let store;
+try {
+  store = createJobStore(JOB_STORE, {
+    airtable: { pat: AIRTABLE_PAT, baseId: AIRTABLE_BASE_ID, table: AIRTABLE_TABLE, locksTable: AIRTABLE_LOCKS_TABLE, apiUrl: AIRTABLE_API_URL, onResponse: recordAirtableResponse },
+    local: { filePath: LOCAL_STORE_PATH },
+  });
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
 }
+// ---------- API Keys & Sessions ----------
+const auth = createAuth({
+  keyStore: createKeyStore(JOB_STORE, {
+    airtable: { pat: AIRTABLE_PAT, baseId: AIRTABLE_BASE_ID, table: API_KEYS_TABLE, apiUrl: AIRTABLE_API_URL, onResponse: recordAirtableResponse },
+    local: { filePath: API_KEYS_PATH },
+  }),
+  adminKey: ADMIN_API_KEY,
+  sessionSecret: SESSION_SECRET || WEBHOOK_SECRET,
+  secureCookies: PUBLIC_BASE_URL.startsWith("https://"),
+  defaults: { dailyQuota: DEFAULT_DAILY_QUOTA, maxCount: DEFAULT_MAX_COUNT },
+});
+// Everything under /api needs a key (or a /login session); webhooks and /files stay public.
+app.use("/api", auth.requireApiKey);
 
-// --- Provider Status Functions (For Polling) ---
+// ---------- Costs & Budgets ----------
+const pricing = createPricing(MODEL_PRICING);
+const budgetGuard = createBudgetGuard({
+  budgets: { daily: DAILY_BUDGET_USD, monthly: MONTHLY_BUDGET_USD, providers: PROVIDER_BUDGETS },
+  getRowsCreatedSince: (iso) => store.getRowsCreatedSince(iso),
+});
+// Budget checks and the estimate they admit are written under one lock, so two
+// concurrent batches cannot both fit into the same remaining budget on this instance.
+const withBudgetLock = (fn) => withRecordLock("budget", fn);
 
-async function checkWaveSpeedStatus(requestId) {
-    const url = `https://api.wavespeed.ai/api/v3/tasks/${requestId}`;
-    const res = await fetch(url, {
-        headers: { Authorization: `Bearer ${WAVESPEED_API_KEY}` }
-    });
-    const data = await res.json();
-    
-    if (data.status === 'success' && data.outputs && data.outputs.length > 0) {
-        return { status: 'completed', outputUrl: data.outputs.find(s => s.startsWith('http')) };
-    }
-    if (data.status === 'failed' || data.error) {
-        return { status: 'failed', error: data.error || 'Job failed on WaveSpeed side.' };
-    }
-    return { status: 'processing' };
+// Cost of one completed request. Per-megapixel prices use the stored output's real size when known.
+// Pipeline step requests are priced with their step's model.
+function requestCost(fields, requestId, stored) {
+  const step = pipelineSteps(fields)[(requestLineage(fields)[requestId]?.step ?? 0) - 1];
+  const adapter = getProvider(step ? step.provider : fields.Provider);
+  const model = adapter && findModel(adapter, step ? step.model : fields.Model);
+  if (!model) return 0;
+  const { combinations, comboIndexOf } = runCombinations(fields);
+  const params = step ? step.params : combinations[comboIndexOf(requestId)]?.params || recordParams(fields);
+  return pricing.imageCost(model, { width: stored.width ?? params.width, height: stored.height ?? params.height });
 }
 
-async function checkFalStatus(requestId) {
-    const url = `https://api.fal.ai/v1/requests/${requestId}/status`;
-    const res = await fetch(url, {
-        headers: { 
-            Authorization: `Key ${FAL_API_TOKEN}`,
-            "Content-Type": "application/json"
-        }
-    });
-    const data = await res.json();
+const stepModelOf = (step) => findModel(getProvider(step.provider), step.model);
 
-    if (data.status === 'COMPLETED' && data.result?.images?.[0]?.url) {
-        return { status: 'completed', outputUrl: data.result.images[0].url };
-    }
-    if (data.status === 'ERROR' || data.error) {
-         return { status: 'failed', error: data.error || 'Job failed on Fal side.' };
-    }
-    return { status: 'processing' };
+// Up-front estimate for one generation request per entry of paramsList, each followed by every
+// pipeline step, per provider ({ <Provider>: usd }) so each provider's budget sees its own share.
+function runEstimate(provider, model, paramsList, pipeline) {
+  return pipeline.reduce(
+    (byProvider, step) => addCosts(byProvider, { [step.provider]: pricing.estimate(stepModelOf(step), paramsList.map(() => step.params)) }),
+    { [provider]: pricing.estimate(model, paramsList) },
+  );
 }
 
-// ---------- Polling Logic (The Final Fix for "Stuck in Processing") ----------
+const estimateFields = (byProvider) => ({ "Estimated Cost": sumCosts(byProvider), "Provider Estimates": JSON.stringify(byProvider) });
 
-async function pollStuckJobs() {
-    console.log(`[POLLING] Checking for jobs stuck in 'processing' (>${STUCK_TIMEOUT_MINUTES} mins)...`);
-    
-    try {
-        const rows = await getPendingRows();
-        
-        for (const record of rows) {
-            const { id: recordId, fields } = record;
-            const provider = fields.Provider;
-            const requestIds = (fields["Request IDs"] || "").split(",").map(s => s.trim()).filter(Boolean);
-            const seenIds = (fields["Seen IDs"] || "").split(",").map(s => s.trim()).filter(Boolean);
-            
-            const pendingIds = requestIds.filter(id => !seenIds.includes(id));
-
-            for (const requestId of pendingIds) {
-                let statusCheck;
-                
-                if (provider === 'WaveSpeed') {
-                    statusCheck = await checkWaveSpeedStatus(requestId);
-                } else if (provider === 'Fal') {
-                    statusCheck = await checkFalStatus(requestId);
-                } else {
-                    continue; 
-                }
-
-                if (statusCheck.status === 'completed') {
-                    console.log(`[POLLING SUCCESS] Found completed job ${requestId}. Manually updating Airtable.`);
-                    await processCompletedJob(recordId, requestId, statusCheck.outputUrl, provider);
-                } else if (statusCheck.status === 'failed') {
-                    console.log(`[POLLING FAIL] Found failed job ${requestId}. Manually updating Airtable.`);
-                    await patchRow(recordId, { 
-                        "Status": "failed",
-                        "Last Update": nowISO(),
-                        "Note": `❌ Job ${requestId} failed (via Polling). ${statusCheck.error}`
-                    });
-                }
-            }
-        }
-    } catch (e) {
-        console.error("[POLLING ERROR] Failed to check stuck jobs:", e.message);
-    }
+// ---------- Output Storage ----------
+let outputArchive = null;
+if (OUTPUT_STORAGE !== "none") {
+  try {
+    const storage = createFileStorage(OUTPUT_STORAGE, {
+      local: { dir: OUTPUT_STORAGE_DIR },
+      s3: { endpoint: S3_ENDPOINT, region: S3_REGION, bucket: S3_BUCKET, accessKeyId: S3_ACCESS_KEY_ID, secretAccessKey: S3_SECRET_ACCESS_KEY, forcePathStyle: S3_FORCE_PATH_STYLE },
+    });
+    outputArchive = createOutputArchive({ storage, publicBaseUrl: PUBLIC_BASE_URL, thumbnailSize: THUMBNAIL_SIZE, maxBytes: OUTPUT_MAX_MB * 1024 * 1024 });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
 }
 
-// Start the polling interval
-setInterval(pollStuckJobs, POLLING_INTERVAL_MS);
+// ---------- Input Images ----------
+const imageIngestor = createImageIngestor({
+  maxBytes: INPUT_IMAGE_MAX_MB * 1024 * 1024,
+  allowedTypes: INPUT_IMAGE_TYPES,
+  allowPrivateUrls: ALLOW_PRIVATE_IMAGE_URLS,
+  downscale: INPUT_IMAGE_DOWNSCALE,
+  defaultMaxDimension: INPUT_IMAGE_MAX_DIMENSION,
+});
 
-// --- Image Fetching & Submission Code ---
+// Multipart uploads for /api/start-batch: one "subjectFile" and any number of "referenceFiles".
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: INPUT_IMAGE_MAX_MB * 1024 * 1024, files: 1 + MAX_REFERENCE_IMAGES },
+}).fields([{ name: "subjectFile", maxCount: 1 }, { name: "referenceFiles", maxCount: MAX_REFERENCE_IMAGES }]);
 
-async function urlToDataURL(url) {
-  if (!url) return null;
-  try {
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`Failed to fetch image: ${url} (Status: ${res.status})`);
-    const type = res.headers.get("content-type") || "image/png";
-    const buffer = Buffer.from(await res.arrayBuffer());
-    console.log(`[WaveSpeed Prep] Image size: ${(buffer.length / 1024 / 1024).toFixed(2)}MB.`);
-    return `data:${type};base64,${buffer.toString("base64")}`;
-  } catch (error) {
-    console.error(`Error in urlToDataURL for ${url}:`, error.message);
-    return null; 
-  }
+const acceptImageUploads = (req, res, next) => imageUpload(req, res, (err) => {
+  if (!err) return next();
+  const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+  res.status(status).json({ error: status === 413 ? `Uploaded image is larger than ${INPUT_IMAGE_MAX_MB}MB` : err.message });
+});
+
+// Browsers send an empty part for a file input left blank.
+const uploadedFiles = (req, field) => (req.files?.[field] || []).filter(f => f.size > 0);
+
+const createRow = (fields) => store.createRow(fields);
+const patchRow = (id, fields) => store.patchRow(id, fields);
+const getRow = (recordId) => store.getRow(recordId);
+
+// Patch a row and push the merged state to anyone following the run.
+// Callers hold the row's record lock, so a finished run is announced exactly once.
+async function patchRowAndPublish(record, fields) {
+  await patchRow(record.id, fields);
+  const merged = { id: record.id, fields: { ...record.fields, ...fields } };
+  const summary = publishRunUpdate(merged);
+  await notifyIfFinished(merged, summary).catch(e => console.error(`❌ Could not queue callbacks for run ${summary.runId}: ${e.message}`));
+  return summary;
 }
 
-// ---------- WaveSpeed Submission (Seedream v4 - T2I + Image Condition) ----------
-async function submitWaveSpeedJob({ prompt, subjectDataUrl, referenceDataUrls, width, height, runId, recordId }) {
-    const modelPath = "bytedance/seedream-v4"; 
-    const payload = {
-        prompt, 
-        model: modelPath, 
-        width: Number(width) || 1024,
-        height: Number(height) || 1024,
-        images: [subjectDataUrl, ...(referenceDataUrls || [])].filter(Boolean), 
-    };
-    const webhook = `${PUBLIC_BASE_URL.replace(/\/+$/, "")}/webhooks/wavespeed?record_id=${encodeURIComponent(recordId)}&run_id=${encodeURIComponent(runId)}`;
-    const url = `https://api.wavespeed.ai/api/v3/${modelPath}`; 
+// ---------- Completion Callbacks ----------
+const callbacks = createCallbackDispatcher({
+  secret: CALLBACK_SECRET || WEBHOOK_SECRET,
+  logPath: CALLBACK_LOG_PATH,
+  maxAttempts: CALLBACK_MAX_ATTEMPTS,
+  baseDelayMs: CALLBACK_RETRY_BASE_MS,
+});
+callbacks.resume().catch(e => console.error(`❌ ${e.message}`));
 
-    const res = await fetch(`${url}?webhook=${encodeURIComponent(webhook)}`, {
-        method: "POST",
-        headers: { "Authorization": `Bearer ${WAVESPEED_API_KEY}`, "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-    });
-    const txt = await res.text();
-    if (!res.ok) throw new Error(`WaveSpeed API Error (${res.status}): ${txt}`);
-    const responseData = JSON.parse(txt);
-    const requestId = responseData.data?.id || responseData.data?.request_id;
-    if (!requestId) throw new Error("WaveSpeed submit: no id in response");
-    console.log(`🚀 WaveSpeed job submitted: ${requestId}`);
-    return requestId;
-}
-
-// ---------- Fal Submission ----------
-async function submitFalJob({ prompt, subjectUrl, width, height, runId, recordId }) {
-    const modelId = "fal-ai/stable-diffusion-xl"; 
-    const webhook = `${PUBLIC_BASE_URL.replace(/\/+$/, "")}/webhooks/fal?record_id=${encodeURIComponent(recordId)}&run_id=${encodeURIComponent(runId)}`;
-    const payload = {
-        prompt, 
-        image_url: subjectUrl || null, 
-        width: Number(width), 
-        height: Number(height),
-    };
-    const url = `https://api.fal.ai/v1/models/${modelId}/generate?webhook=${encodeURIComponent(webhook)}`;
-    
-    // The trimAndUnquote function at the top of the file cleans the key
-    const res = await fetch(url, {
-        method: "POST",
-        headers: { "Authorization": `Key ${FAL_API_TOKEN}`, "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-    });
-    
-    const txt = await res.text();
-    if (!res.ok) throw new Error(`Fal API Error (${res.status}): ${txt}`);
-    const responseData = JSON.parse(txt);
-    const requestId = responseData.request_id;
-    if (!requestId) throw new Error("Fal submit: no id in response");
-    console.log(`🚀 Fal job submitted: ${requestId}`);
-    return requestId;
+// Queues run.completed / run.partial / run.failed once a run has settled. "Notified" records
+// which outcome was announced, so a retry that changes the outcome is announced again.
+async function notifyIfFinished(record, summary) {
+  const outcome = runOutcome(summary);
+  if (!outcome) return;
+  const callbackUrl = record.fields["Callback URL"];
+  const targets = [
+    ...NOTIFY_URLS.map(url => ({ url, trusted: true })),
+    ...(callbackUrl ? [{ url: callbackUrl, trusted: false }] : []),
+  ];
+  const notified = `${outcome}:${summary.received}/${summary.expected}`;
+  if (targets.length === 0 || record.fields["Notified"] === notified) return;
+  await patchRow(record.id, { "Notified": notified });
+  record.fields["Notified"] = notified;
+
+  const completedAt = summary.completedAt || nowISO();
+  await callbacks.enqueue(`run.${outcome}`, {
+    event: `run.${outcome}`,
+    runId: summary.runId, recordId: summary.recordId, status: outcome,
+    provider: summary.provider, model: summary.model, prompt: summary.prompt, submittedBy: summary.submittedBy,
+    expected: summary.expected, received: summary.received,
+    outputs: summary.results, failures: summary.failures,
+    estimatedCost: summary.estimatedCost, cost: summary.cost,
+    timing: {
+      createdAt: summary.createdAt, completedAt,
+      durationMs: summary.createdAt ? Date.parse(completedAt) - Date.parse(summary.createdAt) : null,
+    },
+  }, targets);
 }
 
+// --- Submission Helpers ---
+const webhookUrlFor = (adapter, recordId, runId) =>
+  `${PUBLIC_BASE_URL.replace(/\/+$/, "")}/webhooks/${adapter.slug}?${webhookAuth.queryFor(adapter.slug, recordId, runId)}`;
+
 // --- Common Webhook/Polling Completion Logic ---
-async function processCompletedJob(recordId, requestId, outputUrl, provider) {
+// Copies a provider output into our storage. On failure the provider URL is kept,
+// so a storage outage degrades to the old behaviour instead of losing the result.
+async function archiveOutput(sourceUrl) {
+  if (!outputArchive) return { url: sourceUrl };
+  try {
+    const file = await outputArchive.persist(sourceUrl);
+    console.log(`[Files] Stored ${sourceUrl} as ${file.id} (${file.mimeType}, ${file.width}x${file.height})`);
+    return {
+      url: file.url, sourceUrl, fileId: file.id, sha256: file.sha256, mimeType: file.mimeType,
+      width: file.width, height: file.height, bytes: file.bytes, thumbnailUrl: file.thumbnail?.url || null,
+    };
+  } catch (e) {
+    console.error(`❌ Could not store output ${sourceUrl}, keeping the provider URL:`, e.message);
+    return { url: sourceUrl };
+  }
+}
+
+// Both paths run under the record lock and re-read the row inside it, so concurrent
+// deliveries merge into the latest state instead of overwriting each other.
+async function processCompletedJob(recordId, requestId, providerUrl, provider) {
+  // Download outside the record lock so a slow CDN does not hold up other results for the row.
+  const stored = await archiveOutput(providerUrl);
+  const outputUrl = stored.url;
+  return withRecordLock(recordId, async () => {
     const current = await getRow(recordId);
     const fields = current.fields || {};
     
     const prevOutputs = Array.isArray(fields["Output"]) ? fields["Output"] : [];
-    const prevSeen = (fields["Seen IDs"] || "").split(",").map(s => s.trim()).filter(Boolean);
-    const allRequests = (fields["Request IDs"] || "").split(",").map(s => s.trim()).filter(Boolean);
+    const prevSeen = splitIds(fields["Seen IDs"]);
+    const allRequests = splitIds(fields["Request IDs"]);
 
     if (prevSeen.includes(requestId)) {
-        console.log(`[DUPLICATE] Job ${requestId} already processed. Skipping.`);
-        return; 
+      console.log(`[DUPLICATE] Job ${requestId} already processed. Skipping.`);
+      return; 
     }
 
-    const updatedOutputs = [...prevOutputs, { url: outputUrl }];
-    const updatedSeen = Array.from(new Set([...prevSeen, requestId]));
-    const isComplete = allRequests.length > 0 && updatedSeen.length >= allRequests.length;
-    
+    // Pipeline runs: intermediate outputs feed the next step; only last-step outputs are the run's Output.
+    const pipeline = pipelineSteps(fields);
+    const lineage = requestLineage(fields);
+    const step = lineage[requestId]?.step ?? 0;
+    const isFinalOutput = step >= pipeline.length;
+
+    const alreadyHasOutput = prevOutputs.some(o => o.url === outputUrl);
+    const updatedOutputs = alreadyHasOutput || !isFinalOutput ? prevOutputs : [...prevOutputs, { url: outputUrl }];
+    const updatedSeen = [...prevSeen, requestId];
+    observeCompletion(requestProvider(fields, requestId), requestId, fields);
+    const cost = requestCost(fields, requestId, stored);
+    const result = { requestId, ...stored, cost, completedAt: nowISO() };
+    if (pipeline.length > 0) Object.assign(result, { step, parentRequestId: lineage[requestId]?.parentRequestId ?? null });
+
     const fieldsToUpdate = {
       "Output": updatedOutputs,
-      "Output URL": outputUrl, 
+      ...(isFinalOutput && { "Output URL": outputUrl }),
+      "Results": JSON.stringify([...recordResults(fields), result]),
+      "Cost": Math.round(((Number(fields["Cost"]) || 0) + cost) * 1e6) / 1e6,
       "Seen IDs": updatedSeen.join(","), 
       "Last Update": nowISO(),
-      "Note": `✅ ${provider}: Received image ${updatedSeen.length} of ${allRequests.length}`,
+      "Note": `✅ ${provider}: Received image ${updatedSeen.length} of ${allRequests.length}${isFinalOutput ? "" : ` (pipeline step ${step})`}`,
     };
 
+    // The next step is submitted inside the record lock, so its request ID is on the row
+    // before the run can be considered complete (and before its own webhook is processed).
+    if (!isFinalOutput) {
+      Object.assign(fieldsToUpdate, await submitNextSteps({ id: recordId, fields: { ...fields, ...fieldsToUpdate } }, { only: requestId }));
+    }
+    const requestsAfter = splitIds(fieldsToUpdate["Request IDs"] ?? fields["Request IDs"]);
+    const isComplete = requestsAfter.length > 0 && requestsAfter.every(id => updatedSeen.includes(id));
+
     if (isComplete) {
       fieldsToUpdate["Status"] = "completed"; 
       fieldsToUpdate["Completed At"] = nowISO();
       fieldsToUpdate["Note"] = `✅ ${provider} batch complete. Received ${updatedSeen.length} images.`;
     }
 
-    await patchRow(recordId, fieldsToUpdate);
+    await patchRowAndPublish(current, fieldsToUpdate);
     console.log(`✅ Airtable updated for ${provider} record ${recordId}. Status: ${fieldsToUpdate.Status}`);
+  });
+}
+
+// Submits pipeline step `step` (1-based) with a parent output as its input image.
+// Returns { requestId, lineage } or { error } (a message for "Failed IDs"); never throws.
+async function submitPipelineStep(record, { parentRequestId, outputUrl, step }) {
+  const fields = record.fields;
+  const stepSpec = pipelineSteps(fields)[step - 1];
+  const label = `Pipeline step ${step} for ${parentRequestId}`;
+  try {
+    const { adapter, model, params } = resolveModel(stepSpec.provider, stepSpec.model, stepSpec.params);
+    const rootRequestId = requestLineage(fields)[parentRequestId]?.rootRequestId ?? parentRequestId;
+    const { combinations, comboIndexOf } = runCombinations(fields);
+    const images = await loadInputImages(adapter, model, stepSpec.input === "reference" ? { referenceUrls: [outputUrl] } : { subjectUrl: outputUrl });
+    const base = await prepareJobBase(adapter, model, { runId: fields["Run ID"], recordId: record.id, images });
+    const prompt = stepSpec.prompt || combinations[comboIndexOf(rootRequestId)]?.prompt || fields.Prompt || "";
+    const { requestIds, failedMessages } = await submitJobs(adapter, [{ ...base, prompt, params }]);
+    if (requestIds.length === 0) return { error: `${label}: ${failedMessages[0]}` };
+    console.log(`🔗 ${label} submitted to ${adapter.name} (${model.id}): ${requestIds[0]}`);
+    return { requestId: requestIds[0], lineage: { step, parentRequestId, rootRequestId, provider: adapter.name, model: model.id } };
+  } catch (e) {
+    console.error(`❌ ${label} could not be submitted:`, e.message);
+    failuresTotal.inc({ provider: stepSpec.provider, cause: "pipeline" });
+    return { error: failureLine(`${label}: ${e.message}`) };
+  }
+}
+
+// Submits the next pipeline step for every result that still needs one (see resultsAwaitingStep):
+// new results, results that arrived before startBatch recorded their request, failed step
+// submissions and retired step requests. Returns the fields to patch; call it under the record lock.
+async function submitNextSteps(record, { only } = {}) {
+  const fields = record.fields;
+  const waiting = resultsAwaitingStep(fields, recordResults(fields), { only });
+  if (waiting.length === 0) return {};
+  const lineage = requestLineage(fields);
+  const requestIds = splitIds(fields["Request IDs"]);
+
+  const errors = [];
+  const submitted = [];
+  for (const result of waiting) {
+    const child = await submitPipelineStep(record, { parentRequestId: result.requestId, outputUrl: result.url, step: (lineage[result.requestId]?.step ?? 0) + 1 });
+    if (child.requestId) {
+      requestIds.push(child.requestId);
+      submitted.push(child.requestId);
+      lineage[child.requestId] = child.lineage;
+    } else {
+      errors.push(child.error);
+    }
+  }
+  return {
+    "Request IDs": requestIds.join(","),
+    ...stampSubmitted(fields, submitted),
+    "Lineage": JSON.stringify(lineage),
+    ...(errors.length > 0 && { "Failed IDs": [fields["Failed IDs"], ...errors].filter(Boolean).join("\n") }),
+  };
+}
+
+// Status for a row whose "Request IDs" are being written now: webhooks for fast jobs can land
+// before that, so their results and failures are already on the row and count right away.
+function settledStatus(fields, requestIds) {
+  const seen = splitIds(fields["Seen IDs"]);
+  const failed = splitIds(fields["Failed Requests"]);
+  if (requestIds.length === 0) return { "Status": "failed" };
+  if (requestIds.every(id => seen.includes(id))) {
+    return { "Status": "completed", "Completed At": nowISO(), "Note": `✅ ${fields.Provider} batch complete. Received ${requestIds.length} images.` };
+  }
+  // Same as processFailedJob: any failed request marks the run failed (retry-failed resubmits it).
+  return { "Status": requestIds.some(id => failed.includes(id)) ? "failed" : "processing" };
+}
+
+function processFailedJob(recordId, requestId, note) {
+  return withRecordLock(recordId, async () => {
+    const current = await getRow(recordId);
+    const fields = current.fields || {};
+    // A late failure report must not undo a result that already arrived for this request.
+    if (requestId && splitIds(fields["Seen IDs"]).includes(requestId)) {
+      console.log(`[DUPLICATE] Job ${requestId} already completed. Ignoring failure report.`);
+      return;
+    }
+    const failedRequests = splitIds(fields["Failed Requests"]);
+    if (requestId && !failedRequests.includes(requestId)) {
+      failedRequests.push(requestId);
+      submittedAt.delete(requestId);
+      failuresTotal.inc({ provider: requestProvider(fields, requestId), cause: "generation" });
+    }
+    await patchRowAndPublish(current, {
+      "Status": "failed", "Note": note, "Last Update": nowISO(),
+      "Failed Requests": failedRequests.join(","),
+    });
+  });
+}
+
+// Requests the poller gave up on count as failed, so retry-failed can resubmit them.
+function processTimedOutJobs(recordId, requestIds) {
+  return withRecordLock(recordId, async () => {
+    const current = await getRow(recordId);
+    const fields = current.fields || {};
+    const seen = splitIds(fields["Seen IDs"]);
+    const failedRequests = splitIds(fields["Failed Requests"]);
+    const timedOut = requestIds.filter(id => !seen.includes(id) && !failedRequests.includes(id));
+    if (timedOut.length === 0) return;
+    for (const id of timedOut) {
+      submittedAt.delete(id);
+      failuresTotal.inc({ provider: requestProvider(fields, id), cause: "timeout" });
+    }
+
+    console.log(`[POLLING TIMEOUT] ${timedOut.length} job(s) on ${recordId} exceeded ${JOB_MAX_AGE_MINUTES} mins.`);
+    await patchRowAndPublish(current, {
+      "Status": "timed_out",
+      "Failed Requests": [...failedRequests, ...timedOut].join(","),
+      "Last Update": nowISO(),
+      "Note": `⏱️ ${timedOut.length} job(s) timed out after ${JOB_MAX_AGE_MINUTES} mins: ${timedOut.join(", ")}`,
+    });
+  });
 }
 
-// ---------- UI (Includes WaveSpeed and Fal) ----------
-app.get("/app", (_req, res) => {
+// ---------- Login (session cookie for /app and the pages in Public/) ----------
+// Only same-site relative paths are accepted as a post-login destination. Browsers read "\"
+// as "/" and drop tabs and newlines, so "/\evil.com" must not pass as a local path.
+function safeNext(next) {
+  if (typeof next !== "string" || !next.startsWith("/") || /[\\\u0000-\u001f\u007f]/.test(next)) return "/app";
+  const base = new URL("http://localhost");
+  const url = new URL(next, base);
+  return url.origin === base.origin ? `${url.pathname}${url.search}${url.hash}` : "/app";
+}
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+function renderLogin(res, { next, error } = {}) {
+  res.status(error ? 401 : 200).type("html").send(`<!doctype html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>Sign in</title>
+<style>
+body{margin:0;padding:40px;font-family:Segoe UI,Roboto,sans-serif;background:linear-gradient(135deg,#101820,#06131f);color:#f5f5f5;}
+form{max-width:420px;margin:10vh auto;background:rgba(255,255,255,0.05);padding:24px;border-radius:16px;box-shadow:0 8px 24px rgba(0,0,0,0.4);}
+h1{color:#00bcd4;font-size:22px;margin-top:0;}
+input{width:100%;box-sizing:border-box;padding:10px;margin-top:6px;border:none;border-radius:8px;background:rgba(255,255,255,0.1);color:#fff;font-size:14px;}
+button{margin-top:20px;padding:12px;width:100%;border:none;border-radius:12px;background:#00bcd4;color:#fff;font-size:16px;font-weight:600;cursor:pointer;}
+.error{color:#ff8a80;margin-top:12px;}
+</style>
+</head>
+<body>
+<form method="post" action="/login">
+  <h1>🔑 Sign in</h1>
+  <label>API key</label>
+  <input name="key" type="password" autocomplete="current-password" required autofocus>
+  <input name="next" type="hidden" value="${escapeHtml(safeNext(next))}">
+  ${error ? `<div class="error">${escapeHtml(error)}</div>` : ""}
+  <button type="submit">Sign in</button>
+</form>
+</body></html>`);
+}
+
+app.get("/login", (req, res) => renderLogin(res, { next: req.query.next }));
+
+app.post("/login", async (req, res) => {
+  try {
+    const caller = await auth.callerForKey(String(req.body.key || "").trim());
+    if (!caller) return renderLogin(res, { next: req.body.next, error: "Unknown or revoked API key" });
+    res.set("Set-Cookie", auth.sessionCookie(caller)).redirect(303, safeNext(req.body.next));
+  } catch (e) {
+    console.error("❌ Login failed:", e.message);
+    res.status(503).type("text").send("Sign-in is temporarily unavailable");
+  }
+});
+
+app.post("/logout", (_req, res) => {
+  res.set("Set-Cookie", auth.clearSessionCookie()).redirect(303, "/login");
+});
+
+// Pages redirect to /login instead of answering 401.
+async function requireLogin(req, res, next) {
+  try {
+    req.caller = await auth.authenticate(req);
+  } catch (e) {
+    console.error("❌ Session lookup failed:", e.message);
+    return res.status(503).type("text").send("Sign-in is temporarily unavailable");
+  }
+  if (!req.caller) return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  next();
+}
+
+// ---------- UI (Generated from the provider registry) ----------
+app.get("/app", requireLogin, (req, res) => {
+  const adapters = listProviders();
+  const providerOptions = adapters.map(a => `<option value="${a.name}">${a.label}</option>`).join("\n    ");
+  const referenceProviders = adapters.filter(a => a.supportsReferences).map(a => a.name).join("/") || "none";
   res.type("html").send(`<!doctype html>
 <html>
 <head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>AI Provider Dashboard</title>
@@ -283,171 +678,1183 @@ input:focus,textarea:focus,select:focus{background:rgba(255,255,255,0.2);outline
 button{margin-top:20px;padding:14px;width:100%;border:none;border-radius:12px;background:#00bcd4;color:#fff;font-size:16px;font-weight:600;cursor:pointer;transition:.3s;}
 button:hover{background:#0097a7;box-shadow:0 0 12px rgba(0,188,212,.5);}
 #loading{display:none;text-align:center;margin-top:20px;}
+.session{text-align:right;font-size:13px;color:#80deea;}
+.session form{display:inline;padding:0;margin:0;max-width:none;background:none;box-shadow:none;}
+.session button{width:auto;margin:0;padding:4px 10px;font-size:13px;}
+#run{display:none;max-width:720px;margin:24px auto 0;}
+.bar{height:12px;border-radius:6px;background:rgba(255,255,255,0.1);overflow:hidden;margin:10px 0;}
+.bar div{height:100%;width:0;background:#00bcd4;transition:width .4s ease;}
+.gallery{display:grid;grid-template-columns:repeat(auto-fill,minmax(140px,1fr));gap:10px;margin-top:12px;}
+.gallery img{width:100%;border-radius:8px;display:block;}
+.failures{color:#ff8a80;font-size:13px;}
+.download{display:none;margin-top:10px;padding:8px 14px;border-radius:10px;background:#00bcd4;color:#fff;font-weight:600;text-decoration:none;}
+.params{display:grid;grid-template-columns:1fr 1fr;gap:0 10px;}
+.cell{font-size:12px;color:#b2ebf2;}
+.matrix{border-collapse:collapse;margin-top:12px;width:100%;}
+.matrix th,.matrix td{border:1px solid rgba(255,255,255,0.1);padding:6px;vertical-align:top;font-size:12px;}
+.matrix img{width:100%;max-width:180px;border-radius:6px;display:block;margin-bottom:4px;}
 </style>
 </head>
 <body>
-<h1>⚡ Multi-Provider Runner (WaveSpeed/Fal)</h1>
+<div class="session">Signed in as ${escapeHtml(req.caller.user)} · <form method="post" action="/logout"><button type="submit">Sign out</button></form></div>
+<h1>⚡ Multi-Provider Runner (${adapters.map(a => a.name).join("/")})</h1>
 <form id="batchForm">
   <label>Provider</label>
   <select name="provider">
-    <option value="WaveSpeed">WaveSpeed (Seedream v4 T2I + Image Condition)</option>
-    <option value="Fal">Fal (Stable Diffusion XL)</option>
+    ${providerOptions}
   </select>
 
+  <label>Model</label>
+  <select name="model" id="modelSelect"></select>
+
   <label>Prompt</label>
   <textarea name="prompt" rows="3" required placeholder="Describe your dream image..."></textarea>
-  <label>Subject image URL (Optional)</label>
+  <label>Subject image URL or upload (Optional)</label>
   <input name="subjectUrl" type="url" placeholder="https://example.com/subject.png">
-  <label>Reference image URLs (comma-separated, Optional - Used by WaveSpeed only)</label>
+  <input name="subjectFile" type="file" accept="${INPUT_IMAGE_TYPES.join(",")}">
+  <label>Reference image URLs (comma-separated) or uploads (Optional - Used by ${referenceProviders} only)</label>
   <input name="referenceUrls" type="text" placeholder="https://ref1.png, https://ref2.png">
-  <div style="display:flex;gap:10px;margin-top:10px;">
-    <div style="flex:1"><label>Width</label><input name="width" type="number" value="1024"></div>
-    <div style="flex:1"><label>Height</label><input name="height" type="number" value="1024"></div>
+  <input name="referenceFiles" type="file" multiple accept="${INPUT_IMAGE_TYPES.join(",")}">
+  <div id="modelParams" class="params"></div>
+  <label>Batch count</label><input name="count" type="number" value="1" min="1" max="${auth.maxCountFor(req.caller, MAX_BATCH_COUNT)}">
+  <label><input name="sweep" type="checkbox" style="width:auto;appearance:auto;background-image:none;margin-right:8px;">Sweep mode (expand {a|b} prompt alternatives, seeds and sizes)</label>
+  <div id="sweepFields" style="display:none;">
+    <label>Seeds (comma-separated)</label><input name="seeds" type="text" placeholder="1, 2, 3">
+    <label>Sizes (comma-separated WIDTHxHEIGHT)</label><input name="sizes" type="text" placeholder="1024x1024, 768x1344">
   </div>
-  <label>Batch count</label><input name="count" type="number" value="1" min="1" max="10">
+  <label>Pipeline (Optional - JSON steps run on every output, in order)</label>
+  <textarea name="pipeline" rows="2" placeholder='[{"provider":"Fal","model":"fal-ai/esrgan","params":{"scale":2}}]'></textarea>
   <button type="submit">🚀 Start Batch</button>
 </form>
 <div id="loading">Submitting batch... please wait ⏳</div>
+<div id="run">
+  <div id="runStatus"></div>
+  <div class="bar"><div id="runBar"></div></div>
+  <div id="runFailures" class="failures"></div>
+  <a id="runDownload" class="download">⬇️ Download ZIP</a>
+  <div id="runGallery" class="gallery"></div>
+</div>
 <script>
 const form=document.getElementById('batchForm');
 const loading=document.getElementById('loading');
+const run=document.getElementById('run');
+const providerSelect=form.elements.provider;
+const modelSelect=document.getElementById('modelSelect');
+const paramsBox=document.getElementById('modelParams');
+let catalog=[];
+function currentProvider(){return catalog.find(p=>p.name===providerSelect.value);}
+function renderParams(){
+  const provider=currentProvider();
+  const model=provider&&provider.models.find(m=>m.id===modelSelect.value);
+  paramsBox.innerHTML='';
+  (model?model.params:[]).forEach(spec=>{
+    const wrap=document.createElement('div');
+    const label=document.createElement('label');label.textContent=spec.label+(spec.min!==undefined?' ('+spec.min+'–'+spec.max+')':'');
+    let input;
+    if(spec.type==='enum'){
+      input=document.createElement('select');
+      spec.options.forEach(o=>{const opt=document.createElement('option');opt.value=o;opt.textContent=o;input.appendChild(opt);});
+    }else{
+      input=document.createElement('input');
+      input.type=spec.type==='string'?'text':'number';
+      if(spec.min!==undefined)input.min=spec.min;
+      if(spec.max!==undefined)input.max=spec.max;
+      if(spec.type==='number')input.step='any';
+    }
+    input.name=spec.key;input.required=!!spec.required;
+    if(spec.default!==undefined)input.value=spec.default;
+    wrap.append(label,input);paramsBox.appendChild(wrap);
+  });
+}
+function renderModels(){
+  const provider=currentProvider();
+  modelSelect.innerHTML='';
+  (provider?provider.models:[]).forEach(m=>{const opt=document.createElement('option');opt.value=m.id;opt.textContent=m.label+' — '+m.id;modelSelect.appendChild(opt);});
+  renderParams();
+}
+providerSelect.addEventListener('change',renderModels);
+form.elements.sweep.addEventListener('change',e=>{document.getElementById('sweepFields').style.display=e.target.checked?'block':'none';});
+modelSelect.addEventListener('change',renderParams);
+fetch('/api/providers').then(r=>r.json()).then(json=>{catalog=json.providers;renderModels();});
+let stream=null;
+function renderRun(s){
+  run.style.display='block';
+  const pct=s.expected?Math.round(100*s.received/s.expected):0;
+  document.getElementById('runStatus').textContent=s.provider+' · '+s.status+' · '+s.received+' of '+s.expected+' images'
+    +(s.pipeline?' · '+s.pipeline.map(st=>(st.step?'step '+st.step:'generation')+' '+st.received+'/'+st.submitted).join(', '):'');
+  document.getElementById('runBar').style.width=pct+'%';
+  const download=document.getElementById('runDownload');
+  download.href='/api/runs/'+encodeURIComponent(s.runId)+'/export';
+  download.style.display=s.results.length||s.outputs.length?'inline-block':'none';
+  document.getElementById('runFailures').textContent=s.failures.length?s.failures.length+' failed: '+s.failures.map(f=>f.requestId||f.error).join(', '):'';
+  const gallery=document.getElementById('runGallery');
+  gallery.innerHTML='';
+  if(s.sweep)renderSweep(s,gallery);
+  else (s.results.length?s.results:s.outputs.map(url=>({url}))).forEach(r=>gallery.appendChild(thumb(r)));
+  // One failed request marks the row failed while others are still arriving: stop only once every request has resolved.
+  const failed=s.failures.filter(f=>f.stage==='generation').length;
+  const settled=s.status==='completed'||(s.expected>0?s.received+failed>=s.expected:s.status==='failed');
+  if(settled&&stream){stream.close();stream=null;}
+}
+function thumb(r){
+  const a=document.createElement('a');a.href=r.url;a.target='_blank';
+  const img=document.createElement('img');img.src=r.thumbnailUrl||r.url;img.loading='lazy';
+  a.appendChild(img);return a;
+}
+// Sweep results: a matrix when exactly two variables vary, otherwise captioned cells.
+function renderSweep(s,gallery){
+  const keys=[...new Set(s.results.flatMap(r=>Object.keys(r.vars)))];
+  const varying=keys.filter(k=>new Set(s.results.map(r=>r.vars[k])).size>1);
+  if(varying.length===2){
+    const [rowKey,colKey]=varying;
+    const rows=[...new Set(s.results.map(r=>r.vars[rowKey]))];
+    const cols=[...new Set(s.results.map(r=>r.vars[colKey]))];
+    const table=document.createElement('table');table.className='matrix';
+    const head=table.insertRow();head.insertCell().textContent=rowKey+' / '+colKey;
+    cols.forEach(c=>{const th=document.createElement('th');th.textContent=c;head.appendChild(th);});
+    rows.forEach(rv=>{
+      const tr=table.insertRow();const th=document.createElement('th');th.textContent=rv;tr.appendChild(th);
+      cols.forEach(cv=>{const td=tr.insertCell();s.results.filter(r=>r.vars[rowKey]===rv&&r.vars[colKey]===cv).forEach(r=>td.appendChild(thumb(r)));});
+    });
+    gallery.style.display='block';gallery.appendChild(table);
+    return;
+  }
+  gallery.style.display='';
+  s.results.forEach(r=>{
+    const cell=document.createElement('div');cell.className='cell';
+    cell.appendChild(thumb(r));
+    const caption=document.createElement('div');caption.textContent=Object.entries(r.vars).map(([k,v])=>k+'='+v).join(' · ');
+    cell.appendChild(caption);gallery.appendChild(cell);
+  });
+}
+function followRun(runId){
+  if(stream)stream.close();
+  stream=new EventSource('/api/runs/'+encodeURIComponent(runId)+'/events');
+  stream.addEventListener('run',e=>renderRun(JSON.parse(e.data)));
+}
 form.addEventListener('submit',async e=>{
   e.preventDefault();
   loading.style.display='block';
   loading.innerHTML='Submitting batch... please wait ⏳';
-  const data=new URLSearchParams(new FormData(form));
-  const res=await fetch('/api/start-batch',{method:'POST',body:data});
+  // Sent as multipart so the optional image uploads travel with the form fields.
+  const res=await fetch('/api/start-batch',{method:'POST',body:new FormData(form)});
   const json=await res.json();
   loading.innerHTML='<pre style="text-align:left;background:#000;padding:12px;border-radius:8px;">'+JSON.stringify(json,null,2)+'</pre>';
+  if(json.runId)followRun(json.runId);
 });
 </script>
 </body></html>`);
 });
 
-// ---------- API (CENTRAL DISPATCHER) ----------
-app.post("/api/start-batch", async (req, res) => {
-  try {
-    const { prompt, subjectUrl = "", referenceUrls = "", width = 1024, height = 1024, count = 1 } = req.body;
-    const provider = String(req.body.provider || 'WaveSpeed').trim();
-    
-    if (!prompt) return res.status(400).json({ error: "Missing prompt" });
+// ---------- Batch Dispatch (shared by every batch endpoint) ----------
+// Errors carrying a `status` are client errors and are returned as-is by the routes.
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
 
-    const refs = referenceUrls.split(",").map(s => s.trim()).filter(Boolean);
-    const runId = crypto.randomUUID();
-    
-    let submissionData = { prompt, width, height, runId, subjectUrl, recordId: null };
-    let modelName = "";
-    let dataUrls = null; 
-    
-    if (provider === 'WaveSpeed') {
-        dataUrls = {
-            subjectDataUrl: subjectUrl ? await urlToDataURL(subjectUrl) : null,
-            referenceDataUrls: await Promise.all(refs.map(urlToDataURL)),
-        };
-        modelName = "WaveSpeed (Seedream v4 T2I + Image Condition)";
-    } else if (provider === 'Fal') {
-        modelName = "Fal (Stable Diffusion XL)";
+// ---------- Submission Queue ----------
+const submitQueue = createSubmitQueue({
+  limitsFor: (provider) => ({ concurrency: 4, ratePerMinute: 120, ...SUBMIT_QUEUE_LIMITS[provider] }),
+});
+
+// "Failed IDs" holds one submission error per line, and errors often quote a multi-line
+// provider response, so each message is folded onto a single line.
+const failureLine = (message) => String(message).replace(/\s*[\r\n]+\s*/g, " ").trim();
+
+// Submit each prepared job through the provider's queue lane, retrying transient errors.
+// Returns the request IDs in submission order, paired with the job that produced them.
+async function submitJobs(adapter, jobs) {
+  const submitOne = (job) => withRetry(() => submitQueue.run(adapter.name, () => adapter.submit(job)), {
+    retries: SUBMIT_MAX_RETRIES,
+    baseDelayMs: SUBMIT_RETRY_BASE_MS,
+    onRetry: (err, attempt, delay) =>
+      console.warn(`[RETRY] ${adapter.name} submit attempt ${attempt}/${SUBMIT_MAX_RETRIES} in ${delay}ms: ${err.message}`),
+  });
+  const results = await Promise.allSettled(jobs.map(submitOne));
+  const submitted = [];
+  const failedMessages = [];
+
+  results.forEach((r, i) => {
+    if (r.status === 'fulfilled') {
+      submitted.push({ requestId: r.value, job: jobs[i] });
+      trackSubmission(r.value);
+      submissionsTotal.inc({ provider: adapter.name, outcome: "submitted" });
     } else {
-        return res.status(400).json({ error: "Invalid provider selected" });
+      failedMessages.push(failureLine(r.reason.message));
+      submissionsTotal.inc({ provider: adapter.name, outcome: "failed" });
+      failuresTotal.inc({ provider: adapter.name, cause: "submission" });
     }
+  });
+  return { submitted, requestIds: submitted.map(s => s.requestId), failedMessages };
+}
 
-    const recordId = await createRow({
-      "Provider": provider, "Prompt": prompt,
-      "Subject": subjectUrl ? [{ url: subjectUrl }] : [],
-      "References": refs.map(u => ({ url: u })), "Model": modelName, 
-      "Size": `${width}x${height}`, "Status": "pending", "Run ID": runId,
-      "Created At": nowISO(), "Last Update": nowISO(),
-    });
-    submissionData.recordId = recordId; 
-
-    const jobPromises = [];
-    for (let i = 0; i < count; i++) {
-      const p = (async () => {
-        if (provider === 'WaveSpeed') return await submitWaveSpeedJob({ ...submissionData, ...dataUrls });
-        if (provider === 'Fal') return await submitFalJob(submissionData);
-      })();
-      jobPromises.push(p);
+// Fetches (or takes the upload of) each subject/reference image and validates it for the model.
+// Uploads are kept in file storage so the row, retries and intake can refer to them by URL.
+// Throws a 4xx error naming the image that could not be used.
+async function loadInputImages(adapter, model, { subjectUrl = "", referenceUrls = [], uploads = {} }) {
+  const maxDimension = model.maxInputSize || INPUT_IMAGE_MAX_DIMENSION;
+  const load = async ({ url, upload }, label) => {
+    if (upload) {
+      if (!outputArchive) throw badRequest("Image uploads need output storage (set OUTPUT_STORAGE to local or s3)");
+      const image = await imageIngestor.fromBuffer(upload.buffer, { label, maxDimension });
+      const file = await outputArchive.save(image.buffer, { contentType: image.mimeType, sourceUrl: `upload:${upload.originalname}` });
+      return { ...image, url: file.url };
     }
+    // Our own /files/ URLs (earlier uploads) are read straight from storage.
+    const ownFileId = outputArchive?.idFromUrl(url);
+    const stored = ownFileId && await outputArchive.read(ownFileId);
+    const image = stored
+      ? await imageIngestor.fromBuffer(stored.buffer, { label, maxDimension })
+      : await imageIngestor.fromUrl(url, { label, maxDimension });
+    return { ...image, url };
+  };
+
+  const subjectSource = uploads.subject ? { upload: uploads.subject } : subjectUrl ? { url: subjectUrl } : null;
+  // Providers without reference support never see them, so they are not fetched either.
+  const referenceSources = adapter.supportsReferences
+    ? [...referenceUrls.map(url => ({ url })), ...(uploads.references || []).map(upload => ({ upload }))]
+    : [];
+  if (referenceSources.length > MAX_REFERENCE_IMAGES) throw badRequest(`At most ${MAX_REFERENCE_IMAGES} reference images are allowed`);
 
-    const results = await Promise.allSettled(jobPromises);
-    const requestIds = [];
-    const failedMessages = [];
+  return {
+    subject: subjectSource ? await load(subjectSource, "subject image") : null,
+    references: await Promise.all(referenceSources.map((source, i) => load(source, `reference image ${i + 1}`))),
+  };
+}
+
+// Shared by every submission path: provider-prepared inputs plus the signed webhook URL.
+async function prepareJobBase(adapter, model, { runId, recordId, images }) {
+  const inputs = adapter.prepareInputs ? await adapter.prepareInputs(images) : {};
+  return {
+    model, runId, recordId, subjectUrl: images.subject?.url || "", referenceUrls: images.references.map(r => r.url),
+    ...inputs, webhookUrl: webhookUrlFor(adapter, recordId, runId),
+  };
+}
 
-    results.forEach(r => {
-      if (r.status === 'fulfilled') requestIds.push(r.value);
-      else failedMessages.push(r.reason.message);
+// Resolves provider + model and validates params against the model's schema.
+function resolveModel(providerName, modelId, rawParams) {
+  const adapter = getProvider(providerName || 'WaveSpeed');
+  if (!adapter) throw badRequest("Invalid provider selected");
+  const model = findModel(adapter, modelId);
+  if (!model) throw badRequest(`Unknown model "${modelId}" for ${adapter.name}. Available: ${adapter.models.map(m => m.id).join(", ")}`);
+  const { params, errors } = validateParams(model, rawParams);
+  if (errors.length) throw Object.assign(badRequest(`Invalid parameters for ${model.id}: ${errors.join("; ")}`), { details: errors });
+  return { adapter, model, params };
+}
+
+// `caller` is the authenticated API key; its batch count limit and daily quota apply.
+async function startBatch({
+  prompt, subjectUrl = "", referenceUrls = [], count = 1, provider: providerName, model: modelId, params: rawParams = {},
+  sweep = false, seeds, sizes, uploads = {}, callbackUrl = "", pipeline: rawPipeline,
+}, { caller = null } = {}) {
+  if (!prompt) throw badRequest("Missing prompt");
+  callbackUrl = String(callbackUrl || "").trim();
+  if (callbackUrl) {
+    try {
+      assertPublicUrl(callbackUrl);
+    } catch (e) {
+      throw badRequest(`callbackUrl not allowed: ${e.message}`);
+    }
+  }
+  const { adapter, model, params } = resolveModel(providerName, modelId, rawParams);
+  const provider = adapter.name;
+  count = Number(count) || 1;
+  const maxCount = auth.maxCountFor(caller, MAX_BATCH_COUNT);
+  if (!Number.isInteger(count) || count < 1 || count > maxCount) throw badRequest(`count must be an integer between 1 and ${maxCount}`);
+
+  // Sweep mode expands the prompt template, seeds and sizes; each combination is validated on its own.
+  let combinations = [{ prompt, params, vars: {} }];
+  if (sweep) {
+    try {
+      combinations = expandSweep({ prompt, seeds, sizes, params: rawParams }, { maxCombinations: MAX_SWEEP_SUBMISSIONS }).combinations;
+    } catch (e) {
+      throw badRequest(e.message);
+    }
+    if (combinations.length * count > MAX_SWEEP_SUBMISSIONS) {
+      throw badRequest(`Sweep needs ${combinations.length * count} submissions (limit ${MAX_SWEEP_SUBMISSIONS}).`);
+    }
+    combinations = combinations.map(c => ({ ...c, params: resolveModel(provider, model.id, c.params).params }));
+  }
+
+  let pipeline;
+  try {
+    pipeline = resolvePipeline(rawPipeline, { resolveModel, maxSteps: PIPELINE_MAX_STEPS });
+  } catch (e) {
+    throw Object.assign(badRequest(e.message), { details: e.details });
+  }
+  // Every generation request is followed by each pipeline step, and all of them count.
+  const submissionsPerRequest = 1 + pipeline.length;
+  const maxSubmissions = auth.maxSubmissionsFor(caller);
+  const totalSubmissions = combinations.length * count * submissionsPerRequest;
+  if (maxSubmissions !== null && totalSubmissions > maxSubmissions) {
+    throw badRequest(`Batch needs ${totalSubmissions} submissions including sweep combinations and pipeline steps (limit ${maxSubmissions} for this key).`);
+  }
+
+  const refs = referenceUrls.map(s => String(s).trim()).filter(Boolean);
+  const images = await loadInputImages(adapter, model, { subjectUrl: String(subjectUrl || "").trim(), referenceUrls: refs, uploads });
+  if (model.requiresImage && !images.subject) throw badRequest(`${model.id} needs a subject image`);
+  const runId = crypto.randomUUID();
+  addLogContext({ runId, provider });
+
+  const estimate = runEstimate(provider, model, combinations.flatMap(c => Array(count).fill(c.params)), pipeline);
+  const quota = await auth.reserveImages(caller, totalSubmissions);
+  let submittedCount = 0;
+  try {
+    const recordId = await withBudgetLock(async () => {
+      await budgetGuard.check(estimate);
+      return createRow({
+        "Provider": provider, "Prompt": prompt, ...(caller && { "Submitted By": caller.user, "Submitted By Key": caller.id }),
+        "Subject": images.subject ? [{ url: images.subject.url }] : [],
+        // Providers without reference support keep the URLs on the row, as before.
+        "References": (adapter.supportsReferences ? images.references.map(r => r.url) : refs).map(u => ({ url: u })), "Model": model.id, "Parameters": JSON.stringify(params),
+        ...(params.width && { "Size": `${params.width}x${params.height}` }), "Batch Count": count, "Status": "pending", "Run ID": runId,
+        ...(sweep && { "Sweep": JSON.stringify(combinations) }),
+        ...(pipeline.length > 0 && { "Pipeline": JSON.stringify(pipeline) }),
+        ...(callbackUrl && { "Callback URL": callbackUrl }),
+        ...estimateFields(estimate),
+        "Created At": nowISO(), "Last Update": nowISO(),
+      });
     });
+    addLogContext({ recordId });
 
-    await patchRow(recordId, {
-      "Request IDs": requestIds.join(","),
-      "Failed IDs": failedMessages.join(","),
-      "Status": requestIds.length > 0 ? "processing" : "failed",
-      "Last Update": nowISO(),
-      "Note": `🟢 Batch started. Submitted: ${requestIds.length}. Failed: ${failedMessages.length}.`
+    const base = await prepareJobBase(adapter, model, { runId, recordId, images });
+    const jobs = combinations.flatMap((c, comboIndex) =>
+      Array.from({ length: count }, () => ({ ...base, prompt: c.prompt, params: c.params, comboIndex })));
+    const { submitted, requestIds, failedMessages } = await submitJobs(adapter, jobs);
+    submittedCount = requestIds.length * submissionsPerRequest;
+    const variables = Object.fromEntries(submitted.map(s => [s.requestId, s.job.comboIndex]));
+
+    // Under the record lock: fast webhooks may already have written results for this run;
+    // their pipeline steps are submitted now that their requests are on the row.
+    await withRecordLock(recordId, async () => {
+      const current = await getRow(recordId);
+      const update = {
+        "Request IDs": requestIds.join(","),
+        ...stampSubmitted(current.fields, requestIds),
+        ...(sweep && { "Variables": JSON.stringify(variables) }),
+        "Failed IDs": failedMessages.join("\n"),
+        // Submissions that never went out will not cost anything.
+        ...estimateFields(runEstimate(provider, model, submitted.map(s => s.job.params), pipeline)),
+        "Last Update": nowISO(),
+        "Note": `🟢 Batch started. Submitted: ${requestIds.length}. Failed: ${failedMessages.length}.`
+      };
+      Object.assign(update, await submitNextSteps({ id: recordId, fields: { ...current.fields, ...update } }));
+      Object.assign(update, settledStatus(current.fields, splitIds(update["Request IDs"])));
+      await patchRowAndPublish(current, update);
     });
 
-    res.json({ 
-        ok: true, parentRecordId: recordId, runId, 
-        message: `Batch started on ${provider}. Submitted: ${requestIds.length}. Failed: ${failedMessages.length > 0 ? failedMessages.join("; ") : "None"}` 
+    return {
+      ok: true, parentRecordId: recordId, runId, submitted: requestIds.length, failed: failedMessages.length, estimatedCost: sumCosts(estimate),
+      message: `Batch started on ${provider}. Submitted: ${requestIds.length}. Failed: ${failedMessages.length > 0 ? failedMessages.join("; ") : "None"}`
+    };
+  } finally {
+    await quota.settle(submittedCount);
+  }
+}
+
+// The run with this ID, or null when there is none or it belongs to another API key
+// (reported as not found, so run IDs of other keys cannot be probed).
+async function findRunFor(caller, runId) {
+  const record = await store.findRowByRunId(runId);
+  return record && auth.canAccess(caller, record.fields["Submitted By Key"]) ? record : null;
+}
+
+// ---------- Retrying Failed Slots ----------
+// A slot is one of the run's "Batch Count" submissions (per combination for sweeps). Slots are missing when their
+// submission never produced a request ID, or when their request failed on the provider.
+// Retrying replaces failed request IDs in "Request IDs" (they move to "Retried IDs")
+// and appends the new ones, so the run can still complete as N of N. Failed pipeline step
+// requests are retired the same way and their step is resubmitted for the same parent output.
+const retriesInFlight = new Set();
+
+async function retryRunSlots(runId, { requestId: onlyRequestId, caller = null } = {}) {
+  const record = await findRunFor(caller, runId);
+  if (!record) throw Object.assign(new Error("Run not found"), { status: 404 });
+  const recordId = record.id;
+  addLogContext({ runId, recordId, provider: record.fields.Provider });
+  if (retriesInFlight.has(recordId)) throw Object.assign(new Error("A retry is already running for this run"), { status: 409 });
+
+  retriesInFlight.add(recordId);
+  try {
+    const fields = record.fields;
+    // Rows from before the model catalog store a label in "Model"; they ran the provider default.
+    const rowAdapter = getProvider(fields.Provider);
+    const modelId = rowAdapter && findModel(rowAdapter, fields.Model) ? fields.Model : undefined;
+    const { adapter, model } = resolveModel(fields.Provider, modelId, recordParams(fields));
+    const { combinations, comboIndexOf } = runCombinations(fields);
+    const pipeline = pipelineSteps(fields);
+    const lineage = requestLineage(fields);
+    const isStepRequest = (id) => Boolean(lineage[id]);
+
+    const requestIds = splitIds(fields["Request IDs"]).filter(id => !isStepRequest(id));
+    const seen = splitIds(fields["Seen IDs"]);
+    const failedRequests = splitIds(fields["Failed Requests"]).filter(id => !seen.includes(id));
+    let replaced = failedRequests.filter(id => !isStepRequest(id));
+    let failedSteps = failedRequests.filter(isStepRequest);
+    // One entry per slot to resubmit, naming the combination it belongs to.
+    let slotCombos = [];
+    if (onlyRequestId) {
+      if (!failedRequests.includes(onlyRequestId)) throw badRequest(`Request ${onlyRequestId} is not a failed request of this run`);
+      replaced = isStepRequest(onlyRequestId) ? [] : [onlyRequestId];
+      failedSteps = isStepRequest(onlyRequestId) ? [onlyRequestId] : [];
+      slotCombos = isStepRequest(onlyRequestId) ? [] : [comboIndexOf(onlyRequestId)];
+    } else {
+      const batchCount = Number(fields["Batch Count"]) || requestIds.length;
+      const liveRequests = requestIds.filter(id => !failedRequests.includes(id));
+      combinations.forEach((_c, comboIndex) => {
+        const live = liveRequests.filter(id => comboIndexOf(id) === comboIndex).length;
+        for (let i = live; i < batchCount; i++) slotCombos.push(comboIndex);
+      });
+    }
+    // Step submissions that failed outright have no request to retire; they are resubmitted too.
+    const stalledSteps = onlyRequestId ? [] : resultsAwaitingStep(fields, recordResults(fields));
+    const stepRetries = failedSteps.length + stalledSteps.length;
+    if (slotCombos.length === 0 && stepRetries === 0) return { ok: true, runId, recordId, submitted: 0, failed: 0, message: "Nothing to retry." };
+
+    // Retries spend credits too, so they count against the caller's quota. A retried slot
+    // runs the whole pipeline again; a retried step runs once more.
+    const submissionsPerSlot = 1 + pipeline.length;
+    const quota = await auth.reserveImages(caller, slotCombos.length * submissionsPerSlot + stepRetries);
+    let submittedCount = 0;
+    try {
+      const retriedStepNumbers = [...failedSteps.map(id => lineage[id].step), ...stalledSteps.map(r => (lineage[r.requestId]?.step ?? 0) + 1)];
+      const retryEstimate = retriedStepNumbers.reduce(
+        (byProvider, step) => addCosts(byProvider, { [pipeline[step - 1].provider]: pricing.estimate(stepModelOf(pipeline[step - 1]), [pipeline[step - 1].params]) }),
+        runEstimate(adapter.name, model, slotCombos.map(comboIndex => combinations[comboIndex].params), pipeline),
+      );
+      await withBudgetLock(() => budgetGuard.check(retryEstimate));
+      let submitted = [], newIds = [], failedMessages = [];
+      if (slotCombos.length > 0) {
+        const images = await loadInputImages(adapter, model, {
+          subjectUrl: fields.Subject?.[0]?.url || "",
+          referenceUrls: (fields.References || []).map(r => r.url).filter(Boolean),
+        });
+        const base = await prepareJobBase(adapter, model, { runId, recordId, images });
+        const jobs = slotCombos.map(comboIndex => ({
+          ...base, prompt: combinations[comboIndex].prompt, params: combinations[comboIndex].params, comboIndex,
+        }));
+        ({ submitted, requestIds: newIds, failedMessages } = await submitJobs(adapter, jobs));
+      }
+      submittedCount = newIds.length * submissionsPerSlot;
+
+      const stepIds = await withRecordLock(recordId, async () => {
+        const current = await getRow(recordId);
+        const f = current.fields || {};
+        // Only retire as many failed IDs as we have replacements for. Failed step requests are
+        // always retired: submitNextSteps below resubmits their step for the same parent.
+        const retired = [...replaced.slice(0, onlyRequestId ? newIds.length : replaced.length), ...failedSteps];
+        const keptRequests = splitIds(f["Request IDs"]).filter(id => !retired.includes(id));
+        const allRequests = [...keptRequests, ...newIds];
+        const stillFailed = splitIds(f["Failed Requests"]).filter(id => !retired.includes(id));
+        const sweepVariables = f.Sweep
+          ? { "Variables": JSON.stringify({ ...JSON.parse(f.Variables || "{}"), ...Object.fromEntries(submitted.map(s => [s.requestId, s.job.comboIndex])) }) }
+          : {};
+        const retiredSlots = retired.filter(id => !isStepRequest(id));
+        const update = {
+          "Request IDs": allRequests.join(","),
+          ...stampSubmitted(f, newIds),
+          ...sweepVariables,
+          "Retried IDs": [...splitIds(f["Retried IDs"]), ...retired].join(","),
+          "Failed Requests": stillFailed.join(","),
+          ...estimateFields(addCosts(
+            addCosts(providerEstimates(f), runEstimate(adapter.name, model, retiredSlots.map(id => combinations[comboIndexOf(id)].params), pipeline), -1),
+            runEstimate(adapter.name, model, submitted.map(s => s.job.params), pipeline),
+          )),
+          "Failed IDs": onlyRequestId ? [f["Failed IDs"], ...failedMessages].filter(Boolean).join("\n") : failedMessages.join("\n"),
+          "Last Update": nowISO(),
+        };
+        if (stepRetries > 0) {
+          const parentOfRetried = onlyRequestId && lineage[onlyRequestId]?.parentRequestId;
+          Object.assign(update, await submitNextSteps({ id: recordId, fields: { ...f, ...update } }, { only: parentOfRetried || undefined }));
+        }
+        const newStepIds = splitIds(update["Request IDs"]).filter(id => !allRequests.includes(id));
+        submittedCount += newStepIds.length;
+        await patchRowAndPublish(current, {
+          ...update,
+          "Status": newIds.length + newStepIds.length > 0 ? "processing" : f.Status,
+          "Note": `🔁 Retry submitted: ${newIds.length}${newStepIds.length ? ` (+${newStepIds.length} pipeline steps)` : ""}. Failed: ${failedMessages.length}.`,
+        });
+        return newStepIds;
+      });
+
+      return {
+        ok: true, runId, recordId, submitted: newIds.length + stepIds.length, failed: failedMessages.length, requestIds: [...newIds, ...stepIds],
+        message: `Retry on ${adapter.name}. Submitted: ${newIds.length + stepIds.length}. Failed: ${failedMessages.length > 0 ? failedMessages.join("; ") : "None"}`,
+      };
+    } finally {
+      await quota.settle(submittedCount);
+    }
+  } finally {
+    retriesInFlight.delete(recordId);
+  }
+}
+
+const sendError = (res, e) => {
+  if (!e.status) console.error(e);
+  res.status(e.status || 500).json({ error: e.message, ...(e.details && { details: e.details }) });
+};
+
+// ---------- Provider & Model Catalog ----------
+app.get("/api/providers", (_req, res) => {
+  res.json({ providers: listProviders().map(describeProvider) });
+});
+
+// ---------- API (CENTRAL DISPATCHER) ----------
+// Accepts urlencoded, JSON or multipart bodies; multipart may carry subjectFile / referenceFiles uploads.
+app.post("/api/start-batch", acceptImageUploads, async (req, res) => {
+  try {
+    // Model parameters arrive as top-level form fields next to prompt/provider/model.
+    const { prompt, subjectUrl = "", referenceUrls = "", count = 1, provider, model, sweep, seeds, sizes, callbackUrl, pipeline } = req.body;
+    res.json(await startBatch({
+      prompt, subjectUrl, count, provider, model, seeds, sizes, callbackUrl, pipeline,
+      sweep: sweep === true || sweep === "on" || sweep === "true",
+      referenceUrls: String(referenceUrls).split(","),
+      params: req.body,
+      uploads: { subject: uploadedFiles(req, "subjectFile")[0], references: uploadedFiles(req, "referenceFiles") },
+    }, { caller: req.caller }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// JSON variant used by Public/index.html (field names: subject, references[], batchCount)
+app.post("/api/generate-batch", async (req, res) => {
+  try {
+    const { prompt, subject = "", references = [], batchCount = 1, provider, model, params = {}, sweep, seeds, sizes, callbackUrl, pipeline } = req.body;
+    res.json(await startBatch({
+      prompt, provider, model, seeds, sizes, callbackUrl, pipeline,
+      sweep: sweep === true || sweep === "true",
+      params: { width: req.body.width, height: req.body.height, ...params },
+      subjectUrl: String(subject || "").trim(),
+      referenceUrls: Array.isArray(references) ? references : String(references).split(","),
+      count: Number(batchCount) || 1,
+    }, { caller: req.caller }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Used by Public/app.html: attachments arrive as Airtable-style [{ url, filename }] arrays.
+app.post("/api/create-record", async (req, res) => {
+  try {
+    const { prompt, subject = [], References = [], batch = 1, provider, model, params = {}, callbackUrl } = req.body;
+    const urlsOf = (list) => (Array.isArray(list) ? list : [list]).map(a => (typeof a === "string" ? a : a?.url)).filter(Boolean);
+    const result = await startBatch({
+      prompt, provider, model, callbackUrl,
+      params: { width: req.body.width, height: req.body.height, ...params },
+      subjectUrl: urlsOf(subject)[0] || "",
+      referenceUrls: urlsOf(References),
+      count: Number(batch) || 1,
+    }, { caller: req.caller });
+    res.json({ ...result, message: `Record ${result.parentRecordId} created. ${result.message}` });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- Bulk Imports ----------
+// Field-level checks for one import row, collected rather than thrown so every problem is reported.
+// The count and submission limits are the caller's, as in startBatch (intake rows have no caller).
+function validateBatchRequest(request, { caller = null } = {}) {
+  const errors = [];
+  if (!request.prompt) errors.push("prompt is required");
+  const maxCount = auth.maxCountFor(caller, MAX_BATCH_COUNT);
+  if (!Number.isInteger(request.count) || request.count < 1 || request.count > maxCount) {
+    errors.push(`count must be an integer between 1 and ${maxCount}`);
+  }
+  if (request.callbackUrl) {
+    try {
+      assertPublicUrl(request.callbackUrl);
+    } catch (e) {
+      errors.push(`callbackUrl not allowed: ${e.message}`);
+    }
+  }
+  for (const url of [request.subjectUrl, ...request.referenceUrls].filter(Boolean)) {
+    try {
+      if (ALLOW_PRIVATE_IMAGE_URLS) new URL(url);
+      else assertPublicUrl(url);
+    } catch (e) {
+      errors.push(e.code === "EPRIVATEADDRESS" ? `URL not allowed: ${url}` : `invalid URL: ${url}`);
+    }
+  }
+  try {
+    const { model } = resolveModel(request.provider, request.model, request.params);
+    if (model.requiresImage && !request.subjectUrl) errors.push(`${model.id} needs a subject image`);
+  } catch (e) {
+    errors.push(...(e.details || [e.message]));
+  }
+  try {
+    const submissions = request.count * (1 + resolvePipeline(request.pipeline, { resolveModel, maxSteps: PIPELINE_MAX_STEPS }).length);
+    const maxSubmissions = auth.maxSubmissionsFor(caller);
+    if (maxSubmissions !== null && submissions > maxSubmissions) {
+      errors.push(`needs ${submissions} submissions including pipeline steps (limit ${maxSubmissions} for this key)`);
+    }
+  } catch (e) {
+    errors.push(...e.details);
+  }
+  return errors;
+}
+
+const importManager = createImportManager({ startBatch, validate: validateBatchRequest, rowConcurrency: IMPORT_ROW_CONCURRENCY });
+
+// Accepts a raw CSV / JSONL body (Content-Type text/csv or application/x-ndjson),
+// or JSON { format: "csv" | "jsonl", content }.
+app.post("/api/imports", express.text({ type: ["text/csv", "text/plain", "application/x-ndjson", "application/jsonl", "application/x-jsonlines"], limit: "10mb" }), (req, res) => {
+  try {
+    const isJsonEnvelope = req.is("application/json");
+    const content = isJsonEnvelope ? req.body.content : req.body;
+    const format = detectFormat(req.get("content-type"), isJsonEnvelope ? req.body.format : req.query.format);
+    if (typeof content !== "string" || !content.trim()) throw badRequest("Empty import");
+    if (format !== "csv" && format !== "jsonl") throw badRequest("Unknown import format. Send text/csv or application/x-ndjson, or pass format=csv|jsonl.");
+
+    let rows;
+    try {
+      rows = format === "csv" ? parseCsv(content) : parseJsonl(content);
+    } catch (e) {
+      throw badRequest(e.message);
+    }
+    if (rows.length === 0) throw badRequest("Import has no rows");
+
+    const imp = importManager.create({ format, rows, source: req.query.name || null, caller: req.caller });
+    const invalid = imp.rows.filter(r => r.status === "invalid");
+    const status = invalid.length === imp.rows.length ? 400 : 202;
+    res.status(status).json({
+      ok: status === 202, importId: imp.id, status: imp.status, counts: imp.counts,
+      errors: invalid.map(r => ({ line: r.line, errors: r.errors })),
     });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/api/imports", (req, res) => {
+  res.json({ imports: importManager.list().filter(imp => auth.canAccess(req.caller, imp.submittedByKey)), queue: submitQueue.stats() });
+});
+
+app.get("/api/imports/:importId", (req, res) => {
+  const imp = importManager.get(req.params.importId);
+  if (!imp || !auth.canAccess(req.caller, imp.submittedByKey)) return res.status(404).json({ error: "Import not found" });
+  res.json(imp);
+});
+
+// ---------- Records API ----------
+const RECORD_PAGE_SIZE_MAX = 100;
+
+app.get("/api/records", async (req, res) => {
+  try {
+    const { status, provider, runId, offset } = req.query;
+    const pageSize = Math.min(Math.max(Number(req.query.pageSize) || 20, 1), RECORD_PAGE_SIZE_MAX);
+    const ownerKey = req.caller.role === "admin" ? undefined : req.caller.id;
+    const page = await store.listRows({ status, provider, runId, ownerKey, pageSize, offset });
+    res.json({ data: page.records, offset: page.offset || null });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- Run Exports ----------
+// ZIP downloads of run outputs with a manifest (see src/exports.mjs). Stored outputs are read
+// from our storage; anything else is fetched from its provider or Airtable URL.
+async function loadExportFile(entry) {
+  const fileId = entry.fileId || outputArchive?.idFromUrl(entry.url);
+  const stored = fileId && outputArchive ? await outputArchive.read(fileId) : null;
+  if (stored) return { buffer: stored.buffer, mimeType: stored.metadata.mimeType };
+  const { buffer, contentType } = await downloadOutput(entry.url, OUTPUT_MAX_MB * 1024 * 1024);
+  return { buffer, mimeType: contentType };
+}
+
+async function sendRunExport(res, records, filename) {
+  res.set({ "Content-Type": "application/zip", "Content-Disposition": `attachment; filename="${filename}"`, "Cache-Control": "no-store" });
+  try {
+    const { files, missing } = await writeRunExport(res, records, { loadFile: loadExportFile });
+    res.end();
+    console.log(`📦 Exported ${files} file(s) from ${records.length} run(s)${missing ? `; ${missing} could not be fetched` : ""}`);
+  } catch (e) {
+    // The ZIP is already streaming, so there is no status left to send: cut the download short.
+    console.error(`❌ Export failed: ${e.message}`);
+    res.destroy(e);
+  }
+}
+
+// Several runs at once: ?from (required) and ?to are ISO dates matched against "Created At",
+// ?provider narrows to one provider. Runs without outputs are left out.
+app.get("/api/runs/export", async (req, res) => {
+  let records, from, to;
+  try {
+    from = new Date(req.query.from);
+    to = req.query.to ? new Date(req.query.to) : new Date();
+    if (!req.query.from || isNaN(from) || isNaN(to) || from >= to) throw badRequest("from (required) and to must be ISO dates with from before to");
+    const provider = String(req.query.provider || "").trim().toLowerCase();
+    records = (await store.getRowsCreatedSince(from.toISOString()))
+      .filter(r => Date.parse(r.fields["Created At"]) < to.getTime())
+      .filter(r => !provider || String(r.fields.Provider || "").toLowerCase() === provider)
+      .filter(r => auth.canAccess(req.caller, r.fields["Submitted By Key"]))
+      .filter(r => runExportEntries(r).length > 0)
+      .sort((a, b) => String(a.fields["Created At"]).localeCompare(String(b.fields["Created At"])));
+    if (records.length === 0) return res.status(404).json({ error: "No runs with outputs match these filters" });
+    if (records.length > EXPORT_MAX_RUNS) throw badRequest(`${records.length} runs match (limit ${EXPORT_MAX_RUNS}); narrow the date range or pick a provider`);
+  } catch (e) {
+    return sendError(res, e);
+  }
+  await sendRunExport(res, records, `runs-${from.toISOString().slice(0, 10)}-to-${to.toISOString().slice(0, 10)}.zip`);
+});
+
+app.get("/api/runs/:runId/export", async (req, res) => {
+  let record;
+  try {
+    record = await findRunFor(req.caller, req.params.runId);
+    if (!record) return res.status(404).json({ error: "Run not found" });
+  } catch (e) {
+    return sendError(res, e);
+  }
+  const runId = record.fields["Run ID"];
+  addLogContext({ runId, recordId: record.id });
+  await sendRunExport(res, [record], `run-${runId}.zip`);
+});
+
+// ---------- Run Status API ----------
+app.get("/api/runs/:runId", async (req, res) => {
+  try {
+    const record = await findRunFor(req.caller, req.params.runId);
+    if (!record) return res.status(404).json({ error: "Run not found" });
+    res.json(summarizeRun(record));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/runs/:runId/retry-failed", async (req, res) => {
+  try {
+    res.json(await retryRunSlots(req.params.runId, { caller: req.caller }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Retry a single failed request, e.g. one marked failed by the poller.
+app.post("/api/runs/:runId/requests/:requestId/retry", async (req, res) => {
+  try {
+    res.json(await retryRunSlots(req.params.runId, { requestId: req.params.requestId, caller: req.caller }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Server-Sent Events: one "run" event with the current state, then one per update.
+app.get("/api/runs/:runId/events", async (req, res) => {
+  const { runId } = req.params;
+  let record;
+  try {
+    record = await findRunFor(req.caller, runId);
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: e.message });
+    return res.status(500).json({ error: e.message });
   }
+  if (!record) return res.status(404).json({ error: "Run not found" });
+
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.flushHeaders();
+  const send = (summary) => res.write(`event: run\ndata: ${JSON.stringify(summary)}\n\n`);
+  send(summarizeRun(record));
+
+  const unsubscribe = subscribeToRun(runId, send);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
 });
 
-// ---------- Webhook Handler: WaveSpeed ----------
-app.post("/webhooks/wavespeed", async (req, res) => {
-  const recordId = req.query.record_id;
-  if (!recordId) return res.status(400).json({ ok: false, error: "Missing record_id" });
-  
+// ---------- Usage & Costs ----------
+// Actual cost of completed requests between ?from and ?to (ISO dates; default: this month so far),
+// plus what today's and this month's budgets have committed, including runs still in flight.
+app.get("/api/usage", async (req, res) => {
   try {
-    console.log(`[WEBHOOK] WaveSpeed received for ${recordId}`);
-    const data = req.body || {};
-    const requestId = data.id || data.requestId || "";
-    if (data.status === 'failed' || data.error) {
-      await patchRow(recordId, { "Status": "failed", "Note": `❌ Job ${requestId} failed.`, "Last Update": nowISO() });
-      return res.json({ ok: true, message: "Logged failure." });
-    }
-    const outputUrl = data.outputs?.find(s => typeof s === 'string' && s.startsWith('http')) || null;
-    if (outputUrl) {
-      await processCompletedJob(recordId, requestId, outputUrl, 'WaveSpeed');
-    } else {
-      console.warn(`[WEBHOOK] WaveSpeed for ${recordId} had no output URL.`);
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : startOfMonth(new Date());
+    if (isNaN(from) || isNaN(to) || from >= to) throw badRequest("from and to must be ISO dates with from before to");
+    // Results arrive up to JOB_MAX_AGE_MINUTES after their row was created.
+    const rows = await store.getRowsCreatedSince(new Date(from.getTime() - JOB_MAX_AGE_MINUTES * 60000).toISOString());
+    const spent = await budgetGuard.spend();
+    res.json({
+      ...buildUsageReport(rows, { from: from.toISOString(), to: to.toISOString() }),
+      budgets: {
+        daily: { limit: DAILY_BUDGET_USD, committed: spent.daily },
+        monthly: { limit: MONTHLY_BUDGET_USD, committed: spent.monthly },
+        providers: Object.fromEntries(listProviders().map(a => [a.name, {
+          daily: { limit: PROVIDER_BUDGETS[a.name]?.daily ?? null, committed: spent.providers[a.name]?.daily || 0 },
+          monthly: { limit: PROVIDER_BUDGETS[a.name]?.monthly ?? null, committed: spent.providers[a.name]?.monthly || 0 },
+        }])),
+      },
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- Callback Deliveries ----------
+// Every attempt is logged; failed deliveries can be inspected here and sent again (admin keys only).
+app.get("/api/callbacks", auth.requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    res.json({ deliveries: await callbacks.list({ status: req.query.status, runId: req.query.runId, limit }) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/api/callbacks/:deliveryId", auth.requireAdmin, async (req, res) => {
+  try {
+    const delivery = await callbacks.get(req.params.deliveryId);
+    if (!delivery) return res.status(404).json({ error: "Delivery not found" });
+    res.json(delivery);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/callbacks/:deliveryId/replay", auth.requireAdmin, async (req, res) => {
+  try {
+    const delivery = await callbacks.replay(req.params.deliveryId);
+    if (!delivery) return res.status(404).json({ error: "Delivery not found" });
+    res.json({ ok: true, id: delivery.id, status: delivery.status });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- API Key Administration ----------
+// The key itself is only returned once, when it is created.
+app.get("/api/admin/keys", auth.requireAdmin, async (_req, res) => {
+  try {
+    res.json({ keys: await auth.listKeys() });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/admin/keys", auth.requireAdmin, async (req, res) => {
+  try {
+    const { user, role, dailyQuota, maxCount } = req.body || {};
+    const created = await auth.issueKey({ user, role, dailyQuota, maxCount });
+    console.log(`🔑 API key ${created.keyPrefix}… created for ${created.user} by ${req.caller.user}`);
+    res.status(201).json(created);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/admin/keys/:keyId/revoke", auth.requireAdmin, async (req, res) => {
+  try {
+    const revoked = await auth.revokeKey(req.params.keyId);
+    console.log(`🔒 API key ${revoked.keyPrefix}… (${revoked.user}) revoked by ${req.caller.user}`);
+    res.json(revoked);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- Stored Files ----------
+// Durable copies of outputs (see archiveOutput). Content-addressed, so they never change.
+app.get("/files/:id", async (req, res) => {
+  if (!outputArchive) return res.status(404).json({ error: "Output storage is disabled" });
+  try {
+    const file = await outputArchive.open(req.params.id);
+    if (!file) return res.status(404).json({ error: "File not found" });
+    res.set({
+      "Content-Type": file.mimeType,
+      "Cache-Control": "public, max-age=31536000, immutable",
+      ETag: `"${req.params.id}"`,
+    });
+    if (file.contentLength) res.set("Content-Length", String(file.contentLength));
+    if (req.fresh) {
+      file.body.destroy?.();
+      return res.status(304).end();
     }
-    res.json({ ok: true }); 
-  } catch (err) {
-    console.error(`❌ WaveSpeed webhook error for ${recordId}:`, err.message);
-    res.status(500).json({ ok: false, error: "Internal server error" }); 
+    file.body.on("error", (err) => {
+      console.error(`❌ Error streaming file ${req.params.id}:`, err.message);
+      res.destroy(err);
+    });
+    file.body.pipe(res);
+  } catch (e) {
+    sendError(res, e);
   }
 });
 
-// ---------- Webhook Handler: Fal ----------
-app.post("/webhooks/fal", async (req, res) => {
-  const recordId = req.query.record_id;
-  if (!recordId) return res.status(400).json({ ok: false, error: "Missing record_id" });
+// Metadata for a stored file: hash, dimensions, MIME type, thumbnail and source URL.
+app.get("/files/:id/meta", async (req, res) => {
+  if (!outputArchive) return res.status(404).json({ error: "Output storage is disabled" });
+  try {
+    const file = await outputArchive.open(req.params.id);
+    if (!file) return res.status(404).json({ error: "File not found" });
+    file.body.destroy?.();
+    res.json(file.metadata);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------- Simulated Provider Outputs ----------
+// Placeholder images for the simulated provider; fetched back by archiveOutput like a real provider URL.
+if (simulatedProvider) {
+  app.get("/simulated/outputs/:requestId.png", async (req, res) => {
+    try {
+      const output = await simulatedProvider.outputFor(req.params.requestId);
+      if (!output) return res.status(404).json({ error: "Output not found" });
+      res.type(output.mimeType).send(output.buffer);
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+}
 
+// ---------- Health, Readiness & Metrics ----------
+// Public like the webhooks, for load balancers and scrapers. /healthz answers from memory
+// (the process is up and its configuration is usable); /readyz also reaches the job store
+// and every registered provider, caching the answer for READY_CHECK_CACHE_MS.
+function configCheck() {
+  const errors = [];
+  const warnings = [];
   try {
-    console.log(`[WEBHOOK] Fal received for ${recordId}`);
-    const data = req.body || {};
-    const requestId = data.request_id || "";
-    if (data.status === 'ERROR' || data.error) {
-      await patchRow(recordId, { "Status": "failed", "Note": `❌ Job ${requestId} failed.`, "Last Update": nowISO() });
-      return res.json({ ok: true, message: "Logged failure." });
+    if (!/^https?:$/.test(new URL(PUBLIC_BASE_URL).protocol)) errors.push("PUBLIC_BASE_URL must be an http(s) URL");
+  } catch {
+    errors.push("PUBLIC_BASE_URL is not a valid URL");
+  }
+  if (listProviders().length === 0) errors.push("No providers are registered");
+  if (WEBHOOK_SECRET_IS_RANDOM) warnings.push("WEBHOOK_SECRET is not set; webhook URLs stop validating after a restart");
+  if (!ADMIN_API_KEY) warnings.push("ADMIN_API_KEY is not set");
+  if (PUBLIC_BASE_URL.startsWith("http://")) warnings.push("PUBLIC_BASE_URL is not https; session cookies are not marked secure");
+  if (simulatedProvider) warnings.push("The simulated provider is enabled");
+  return { ok: errors.length === 0, errors, warnings };
+}
+const startupConfig = configCheck();
+
+const withTimeout = (promise, ms, label) => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => reject(new Error(`${label} did not answer within ${ms}ms`)), ms).unref()),
+]);
+
+async function dependencyCheck(label, ping) {
+  const started = Date.now();
+  try {
+    await withTimeout(Promise.resolve().then(ping), 10000, label);
+    return { ok: true, latencyMs: Date.now() - started };
+  } catch (e) {
+    return { ok: false, latencyMs: Date.now() - started, error: e.message };
+  }
+}
+
+const readiness = { checkedAt: 0, pending: null, result: null };
+async function checkReadiness() {
+  if (readiness.result && Date.now() - readiness.checkedAt < READY_CHECK_CACHE_MS) return readiness.result;
+  // Concurrent probes share one round of upstream calls.
+  readiness.pending ||= (async () => {
+    const [storeCheck, ...providerChecks] = await Promise.all([
+      dependencyCheck(`${store.name} store`, () => store.ping()),
+      ...listProviders().map(adapter => dependencyCheck(adapter.name, () => adapter.ping?.())),
+    ]);
+    const checks = {
+      config: startupConfig,
+      store: { name: store.name, ...storeCheck },
+      providers: Object.fromEntries(listProviders().map((adapter, i) => [adapter.name, providerChecks[i]])),
+    };
+    const ok = startupConfig.ok && storeCheck.ok && providerChecks.every(c => c.ok);
+    const result = { status: ok ? "ready" : "not_ready", checkedAt: nowISO(), checks };
+    Object.assign(readiness, { checkedAt: Date.now(), result });
+    if (!ok) console.warn(`⚠️ Readiness check failed: ${JSON.stringify(checks)}`);
+    return result;
+  })().finally(() => { readiness.pending = null; });
+  return readiness.pending;
+}
+
+app.get("/healthz", (req, res) => {
+  res.status(startupConfig.ok ? 200 : 503).json({
+    status: startupConfig.ok ? "ok" : "misconfigured", uptimeSeconds: Math.round(process.uptime()), instanceId: INSTANCE_ID, config: startupConfig,
+  });
+});
+
+app.get("/readyz", async (req, res) => {
+  try {
+    const result = await checkReadiness();
+    res.status(result.status === "ready" ? 200 : 503).json(result);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN && !safeEqual(req.get("authorization") || "", `Bearer ${METRICS_TOKEN}`)) {
+    return res.status(401).json({ error: "Invalid metrics token" });
+  }
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+// ---------- Webhook Handlers (one route per registered provider) ----------
+for (const adapter of listProviders()) {
+  app.post(`/webhooks/${adapter.slug}`, async (req, res) => {
+    const recordId = req.query.record_id;
+    const countDelivery = (outcome) => webhookDeliveriesTotal.inc({ provider: adapter.name, outcome });
+    addLogContext({ provider: adapter.name, recordId });
+    if (!recordId) {
+      countDelivery("rejected");
+      return res.status(400).json({ ok: false, error: "Missing record_id" });
     }
-    const outputUrl = data.result?.images?.[0]?.url || null; 
-    if (outputUrl) {
-      await processCompletedJob(recordId, requestId, outputUrl, 'Fal');
-    } else {
-      console.warn(`[WEBHOOK] Fal for ${recordId} had no output URL.`);
+
+    const tokenError = webhookAuth.verifyToken(adapter.slug, req.query);
+    if (tokenError) {
+      countDelivery("rejected");
+      console.warn(`[WEBHOOK] Rejected ${adapter.name} delivery for ${recordId}: ${tokenError}`);
+      return res.status(401).json({ ok: false, error: tokenError });
     }
-    res.json({ ok: true });
-  } catch (err) {
-    console.error(`❌ Fal webhook error for ${recordId}:`, err.message);
-    res.status(500).json({ ok: false, error: "Internal server error" });
+    addLogContext({ runId: req.query.run_id });
+
+    try {
+      console.log(`[WEBHOOK] ${adapter.name} received for ${recordId}`);
+      const signature = adapter.verifySignature ? await adapter.verifySignature({ headers: req.headers, rawBody: req.rawBody }) : {};
+      if (signature.error) {
+        countDelivery("rejected");
+        console.warn(`[WEBHOOK] Rejected ${adapter.name} delivery for ${recordId}: ${signature.error}`);
+        return res.status(401).json({ ok: false, error: signature.error });
+      }
+
+      const record = await getRow(recordId);
+      if (record.fields?.["Run ID"] !== req.query.run_id) {
+        countDelivery("rejected");
+        console.warn(`[WEBHOOK] Rejected ${adapter.name} delivery for ${recordId}: run id mismatch`);
+        return res.status(401).json({ ok: false, error: "Run ID does not match record" });
+      }
+
+      const { requestId, status, outputUrl } = adapter.parseWebhook(req.body || {});
+      addLogContext({ requestId });
+      const deliveryKey = signature.deliveryId || `${adapter.slug}:${recordId}:${requestId}:${status}`;
+      if (webhookAuth.isReplay(deliveryKey)) {
+        countDelivery("rejected");
+        console.warn(`[WEBHOOK] Rejected replayed ${adapter.name} delivery ${deliveryKey}`);
+        return res.status(401).json({ ok: false, error: "Replayed delivery" });
+      }
+
+      if (status === 'failed') {
+        await processFailedJob(recordId, requestId, `❌ Job ${requestId} failed.`);
+        webhookAuth.remember(deliveryKey);
+        countDelivery("failed");
+        return res.json({ ok: true, message: "Logged failure." });
+      }
+      if (outputUrl) {
+        await processCompletedJob(recordId, requestId, outputUrl, adapter.name);
+        webhookAuth.remember(deliveryKey);
+        countDelivery("completed");
+      } else {
+        countDelivery("processing");
+        console.warn(`[WEBHOOK] ${adapter.name} for ${recordId} had no output URL.`);
+      }
+      res.json({ ok: true });
+    } catch (err) {
+      countDelivery("error");
+      console.error(`❌ ${adapter.name} webhook error for ${recordId}:`, err.message);
+      res.status(500).json({ ok: false, error: "Internal server error" });
+    }
+  });
+}
+
+// ---------- Airtable Intake ----------
+// Submits a claimed 'queued' row with the same dispatch path as /api/start-batch.
+// Slots are submitted one by one and each request ID is stored immediately, so a
+// resumed row only submits what is still missing.
+async function submitIntakeRow(record, { refreshClaim }) {
+  const recordId = record.id;
+  const fields = record.fields || {};
+  const finish = (update) => withRecordLock(recordId, async () => patchRowAndPublish(await getRow(recordId), { ...update, "Last Update": nowISO() }));
+
+  let resolved;
+  try {
+    const request = {
+      prompt: fields.Prompt, count: Number(fields["Batch Count"] ?? 1),
+      provider: fields.Provider, model: fields.Model || undefined, params: recordParams(fields),
+      subjectUrl: fields.Subject?.[0]?.url || "", referenceUrls: (fields.References || []).map(r => r.url).filter(Boolean),
+    };
+    // Same checks as an import row, so a bad row fails here rather than at the provider.
+    const errors = validateBatchRequest(request);
+    if (errors.length) throw new Error(errors.join("; "));
+    const batchCount = request.count;
+    const { adapter, model, params } = resolveModel(request.provider, request.model, request.params);
+    const images = await loadInputImages(adapter, model, { subjectUrl: request.subjectUrl, referenceUrls: request.referenceUrls });
+    // A resumed row already passed the budget check and carries its estimate.
+    if (fields["Estimated Cost"] === undefined) {
+      const estimate = runEstimate(adapter.name, model, Array(batchCount).fill(params), []);
+      await withBudgetLock(async () => {
+        await budgetGuard.check(estimate);
+        await patchRow(recordId, estimateFields(estimate));
+      });
+    }
+    resolved = { adapter, model, params, images, batchCount };
+  } catch (e) {
+    console.warn(`[INTAKE] Row ${recordId} rejected: ${e.message}`);
+    return finish({ "Status": "failed", "Note": `❌ Intake: ${e.message}` });
   }
+  const { adapter, model, params, images, batchCount } = resolved;
+  const runId = fields["Run ID"] || crypto.randomUUID();
+
+  // Fill in what /api/start-batch would have written when creating the row.
+  await patchRow(recordId, {
+    "Provider": adapter.name, "Model": model.id, "Parameters": JSON.stringify(params),
+    ...(params.width && { "Size": `${params.width}x${params.height}` }), "Batch Count": batchCount, "Run ID": runId,
+    "Created At": fields["Created At"] || nowISO(), "Last Update": nowISO(),
+  });
+
+  const base = await prepareJobBase(adapter, model, { runId, recordId, images });
+  const done = splitIds(fields["Request IDs"]).length + (fields["Failed IDs"] || "").split("\n").filter(Boolean).length;
+
+  for (let slot = done; slot < batchCount; slot++) {
+    const { requestIds, failedMessages } = await submitJobs(adapter, [{ ...base, prompt: fields.Prompt, params, comboIndex: 0 }]);
+    await withRecordLock(recordId, async () => {
+      const current = await getRow(recordId);
+      const f = current.fields || {};
+      await patchRowAndPublish(current, {
+        "Request IDs": [...splitIds(f["Request IDs"]), ...requestIds].join(","),
+        ...stampSubmitted(f, requestIds),
+        "Failed IDs": [f["Failed IDs"], ...failedMessages].filter(Boolean).join("\n"),
+        "Last Update": nowISO(),
+      });
+    });
+    await refreshClaim();
+  }
+
+  const final = await getRow(recordId);
+  const submitted = splitIds(final.fields?.["Request IDs"]).length;
+  const failed = (final.fields?.["Failed IDs"] || "").split("\n").filter(Boolean).length;
+  console.log(`[INTAKE] Row ${recordId} submitted on ${adapter.name}. Submitted: ${submitted}. Failed: ${failed}.`);
+  // Results that arrived while slots were still being submitted already count.
+  await withRecordLock(recordId, async () => {
+    const current = await getRow(recordId);
+    await patchRowAndPublish(current, {
+      "Note": `🟢 Intake batch started. Submitted: ${submitted}. Failed: ${failed}.`,
+      ...settledStatus(current.fields, splitIds(current.fields?.["Request IDs"])),
+      "Last Update": nowISO(),
+    });
+  });
+}
+
+const intakeWatcher = createIntakeWatcher({
+  store, instanceId: INSTANCE_ID, withRecordLock,
+  intervalMs: INTAKE_INTERVAL_MS,
+  claimTtlMs: INTAKE_CLAIM_TTL_MS,
+  submitRow: submitIntakeRow,
+});
+if (INTAKE_ENABLED) intakeWatcher.start();
+
+// ---------- Stuck Job Polling ----------
+const poller = createPoller({
+  store, getProvider, instanceId: INSTANCE_ID,
+  intervalMs: POLLING_INTERVAL_MS,
+  stuckMinutes: STUCK_TIMEOUT_MINUTES,
+  concurrency: POLL_CONCURRENCY,
+  maxJobAgeMinutes: JOB_MAX_AGE_MINUTES,
+  backoffBaseMs: POLL_BACKOFF_BASE_MS,
+  backoffMaxMs: POLL_BACKOFF_MAX_MS,
+  onCompleted: processCompletedJob,
+  onFailed: processFailedJob,
+  onTimedOut: processTimedOutJobs,
+  onChecked: (provider, outcome) => pollChecksTotal.inc({ provider, outcome }),
 });
+poller.start();
 
-app.get("/", (_req, res) => res.send("Multi-Provider Batch Server running. Visit /app"));
-app.listen(PORT, () => console.log(`✅ Listening on port ${PORT}. Polling enabled for jobs stuck >${STUCK_TIMEOUT_MINUTES} mins.`));
+app.listen(PORT, () => console.log(`✅ Listening on port ${PORT} (job store: ${store.name}, output storage: ${OUTPUT_STORAGE}). Polling enabled for jobs stuck >${STUCK_TIMEOUT_MINUTES} mins.`));
 
@@ -0,0 +1,47 @@
+import fetch from "node-fetch";
+
+// ---------- Airtable REST Client ----------
+// Shared by the Airtable job store and key store.
+
+// Quote a value for use inside a filterByFormula string literal.
+export const formulaString = (value) => `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+
+export function createAirtableClient({ pat, baseId, apiUrl = "https://api.airtable.com/v0", onResponse }) {
+  const headers = { Authorization: `Bearer ${pat}`, "Content-Type": "application/json" };
+
+  // Reports every Airtable call (operation and HTTP status, or "network_error") for metrics.
+  async function request(operation, url, init = {}) {
+    let res;
+    try {
+      res = await fetch(url, { ...init, headers });
+    } catch (e) {
+      onResponse?.({ operation, status: "network_error" });
+      throw e;
+    }
+    onResponse?.({ operation, status: res.status });
+    return res;
+  }
+
+  // Follows Airtable's `offset` cursor until every page of the query has been read.
+  // Errors carry the HTTP `status`.
+  async function queryAll(operation, url, params) {
+    const records = [];
+    let offset;
+    do {
+      const pageParams = new URLSearchParams(params);
+      if (offset) pageParams.set("offset", offset);
+      const res = await request(operation, `${url}?${pageParams}`);
+      if (!res.ok) throw Object.assign(new Error(`Airtable query failed: ${res.status}`), { status: res.status });
+      const data = await res.json();
+      records.push(...(data.records || []));
+      offset = data.offset;
+    } while (offset);
+    return records;
+  }
+
+  return {
+    request,
+    queryAll,
+    tableUrl: (table) => `${apiUrl.replace(/\/+$/, "")}/${baseId}/${encodeURIComponent(table)}`,
+  };
+}
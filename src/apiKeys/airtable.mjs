@@ -0,0 +1,38 @@
+import { createAirtableClient, formulaString } from "../airtable.mjs";
+
+// ---------- Airtable API Key Store ----------
+export function createAirtableKeyStore({ pat, baseId, table = "API Keys", apiUrl = "https://api.airtable.com/v0", onResponse }) {
+  const { request, queryAll, tableUrl } = createAirtableClient({ pat, baseId, apiUrl, onResponse });
+  const baseURL = tableUrl(table);
+  const query = (params) => queryAll("keys.query", baseURL, params);
+
+  return {
+    async createKey(fields) {
+      const res = await request("keys.create", baseURL, { method: "POST", body: JSON.stringify({ records: [{ fields }] }) });
+      const txt = await res.text();
+      if (!res.ok) throw new Error(`Airtable key create failed: ${res.status} ${txt}`);
+      return JSON.parse(txt).records?.[0]?.id;
+    },
+
+    async getKey(id) {
+      const res = await request("keys.get", `${baseURL}/${encodeURIComponent(id)}`);
+      if (res.status === 404) return null;
+      if (!res.ok) throw new Error(`Airtable key get failed: ${res.status}`);
+      return res.json();
+    },
+
+    async findKeyByHash(hash) {
+      const [row] = await query({ filterByFormula: `{Key Hash}=${formulaString(hash)}`, maxRecords: "1" });
+      return row || null;
+    },
+
+    async listKeys() {
+      return query({ "sort[0][field]": "Created At", "sort[0][direction]": "asc" });
+    },
+
+    async patchKey(id, fields) {
+      const res = await request("keys.patch", `${baseURL}/${encodeURIComponent(id)}`, { method: "PATCH", body: JSON.stringify({ fields }) });
+      if (!res.ok) throw new Error(`Airtable key patch ${res.status}: ${await res.text()}`);
+    },
+  };
+}
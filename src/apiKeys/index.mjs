@@ -0,0 +1,24 @@
+import { createAirtableKeyStore } from "./airtable.mjs";
+import { createLocalKeyStore } from "./local.mjs";
+
+// ---------- API Key Store Selection ----------
+// Follows JOB_STORE. Keys are rows in the same { id, fields } shape as batch rows:
+//   User, Role ('user' | 'admin'), Key Hash (sha256 of the key), Key Prefix,
+//   Daily Quota (images per UTC day, empty = unlimited), Max Count (per batch, empty = MAX_BATCH_COUNT),
+//   Created At, Revoked At, Usage Date, Used Today
+// and exposes:
+//   createKey(fields) -> id
+//   getKey(id) -> row or null
+//   findKeyByHash(hash) -> row or null
+//   listKeys() -> rows, oldest first
+//   patchKey(id, fields)
+export function createKeyStore(kind, config) {
+  switch (kind) {
+    case "airtable":
+      return createAirtableKeyStore(config.airtable);
+    case "local":
+      return createLocalKeyStore(config.local);
+    default:
+      throw new Error(`Unknown key store "${kind}"`);
+  }
+}
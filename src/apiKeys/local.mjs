@@ -0,0 +1,54 @@
+import crypto from "crypto";
+import { createJsonFile } from "../jsonFile.mjs";
+
+// ---------- Local JSON File API Key Store ----------
+export function createLocalKeyStore({ filePath }) {
+  // Only hashes are stored, but the file still decides who may spend credits.
+  const file = createJsonFile(filePath, { label: "Key store", mode: 0o600 });
+  let rows = null;
+  let loading = null;
+
+  // One shared read, as in the local job store: keys created during it are not lost.
+  function load() {
+    loading ||= file.read({}).then(data => (rows = data.records || []), (e) => {
+      loading = null;
+      throw e;
+    });
+    return loading;
+  }
+
+  const persist = () => file.write({ records: rows });
+
+  const copy = (row) => JSON.parse(JSON.stringify(row));
+
+  return {
+    async createKey(fields) {
+      await load();
+      const row = { id: `key${crypto.randomBytes(7).toString("hex")}`, createdTime: new Date().toISOString(), fields: { ...fields } };
+      rows.push(row);
+      await persist();
+      return row.id;
+    },
+
+    async getKey(id) {
+      const row = (await load()).find(r => r.id === id);
+      return row ? copy(row) : null;
+    },
+
+    async findKeyByHash(hash) {
+      const row = (await load()).find(r => r.fields["Key Hash"] === hash);
+      return row ? copy(row) : null;
+    },
+
+    async listKeys() {
+      return (await load()).map(copy);
+    },
+
+    async patchKey(id, fields) {
+      const row = (await load()).find(r => r.id === id);
+      if (!row) throw new Error(`Key store patch failed: 404 (${id})`);
+      Object.assign(row.fields, fields);
+      await persist();
+    },
+  };
+}
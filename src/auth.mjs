@@ -0,0 +1,184 @@
+import crypto from "crypto";
+import { safeEqual } from "./webhookAuth.mjs";
+import { withRecordLock } from "./recordLock.mjs";
+
+// ---------- API Keys, Sessions and Quotas ----------
+// Callers authenticate with an API key (Authorization: Bearer <key> or X-API-Key), or with
+// the session cookie set by /login. Only the key's SHA-256 is stored. ADMIN_API_KEY is a
+// built-in admin key that lives in the environment rather than the key store.
+//
+// A caller is { id, user, role, dailyQuota, maxCount, keyPrefix }; quotas count images
+// (submissions) per UTC day and are tracked on the key row.
+const SESSION_COOKIE = "batch_session";
+const ADMIN_KEY_ID = "env-admin";
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+const today = () => new Date().toISOString().slice(0, 10);
+const authError = (status, message) => Object.assign(new Error(message), { status });
+const optionalNumber = (value) => (value === undefined || value === null || value === "" ? null : Number(value));
+
+function toCaller(row) {
+  const f = row.fields || {};
+  return {
+    id: row.id,
+    user: f.User || "",
+    role: f.Role === "admin" ? "admin" : "user",
+    keyPrefix: f["Key Prefix"] || "",
+    dailyQuota: optionalNumber(f["Daily Quota"]),
+    maxCount: optionalNumber(f["Max Count"]),
+    createdAt: f["Created At"] || null,
+    revokedAt: f["Revoked At"] || null,
+    usedToday: f["Usage Date"] === today() ? Number(f["Used Today"]) || 0 : 0,
+  };
+}
+
+function parseCookies(header = "") {
+  return Object.fromEntries(header.split(";").map(part => {
+    const i = part.indexOf("=");
+    return i < 0 ? [part.trim(), ""] : [part.slice(0, i).trim(), decodeURIComponent(part.slice(i + 1).trim())];
+  }));
+}
+
+export function createAuth({ keyStore, adminKey, sessionSecret, sessionTtlMs = 12 * 60 * 60 * 1000, secureCookies = false, cacheTtlMs = 60000, defaults = {} }) {
+  const adminCaller = { id: ADMIN_KEY_ID, user: "admin", role: "admin", keyPrefix: "env", dailyQuota: null, maxCount: null };
+  // Key lookups hit the store at most once a minute per key; revocations on other
+  // instances therefore take up to cacheTtlMs to apply.
+  const cache = new Map();
+
+  async function cached(cacheKey, load) {
+    const hit = cache.get(cacheKey);
+    if (hit && hit.expires > Date.now()) return hit.caller;
+    const row = await load();
+    const caller = row && !row.fields?.["Revoked At"] ? toCaller(row) : null;
+    cache.set(cacheKey, { caller, expires: Date.now() + cacheTtlMs });
+    return caller;
+  }
+
+  async function callerForKey(key) {
+    if (!key) return null;
+    if (adminKey && safeEqual(key, adminKey)) return adminCaller;
+    const hash = hashKey(key);
+    return cached(`hash:${hash}`, () => keyStore.findKeyByHash(hash));
+  }
+
+  async function callerForId(id) {
+    if (id === ADMIN_KEY_ID) return adminKey ? adminCaller : null;
+    return cached(`id:${id}`, () => keyStore.getKey(id));
+  }
+
+  // ----- Sessions: "<keyId>.<expiresMs>.<hmac>" in an HttpOnly cookie -----
+  const signSession = (id, expires) => crypto.createHmac("sha256", sessionSecret).update(`${id}.${expires}`).digest("hex");
+
+  function sessionCookie(caller) {
+    const expires = Date.now() + sessionTtlMs;
+    const value = `${caller.id}.${expires}.${signSession(caller.id, expires)}`;
+    return `${SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(sessionTtlMs / 1000)}${secureCookies ? "; Secure" : ""}`;
+  }
+
+  const clearSessionCookie = () => `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0${secureCookies ? "; Secure" : ""}`;
+
+  async function callerForSession(value) {
+    const [id, expires, signature] = (value || "").split(".");
+    if (!id || !signature || !(Number(expires) > Date.now())) return null;
+    if (!safeEqual(signature, signSession(id, expires))) return null;
+    return callerForId(id);
+  }
+
+  async function authenticate(req) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "")?.[1];
+    const key = bearer || req.get("x-api-key");
+    if (key) return callerForKey(key.trim());
+    return callerForSession(parseCookies(req.get("cookie"))[SESSION_COOKIE]);
+  }
+
+  // ----- Quotas -----
+  // Reserves `images` against the caller's daily quota before submitting and returns
+  // settle(used), which refunds whatever was reserved but not submitted.
+  async function reserveImages(caller, images) {
+    const noop = { settle: async () => {} };
+    if (!caller || caller.id === ADMIN_KEY_ID) return noop;
+    await withRecordLock(`api-key:${caller.id}`, async () => {
+      const row = await keyStore.getKey(caller.id);
+      if (!row || row.fields["Revoked At"]) throw authError(401, "API key has been revoked");
+      const current = toCaller(row);
+      const quota = current.dailyQuota ?? defaults.dailyQuota ?? null;
+      if (quota !== null && current.usedToday + images > quota) {
+        throw authError(429, `Daily quota exceeded: ${current.usedToday} of ${quota} images used today, this batch needs ${images}`);
+      }
+      await keyStore.patchKey(caller.id, { "Usage Date": today(), "Used Today": current.usedToday + images });
+    });
+    return {
+      async settle(used) {
+        const unused = images - used;
+        if (unused <= 0) return;
+        await withRecordLock(`api-key:${caller.id}`, async () => {
+          const row = await keyStore.getKey(caller.id);
+          if (!row || row.fields["Usage Date"] !== today()) return;
+          await keyStore.patchKey(caller.id, { "Used Today": Math.max(0, (Number(row.fields["Used Today"]) || 0) - unused) });
+        });
+      },
+    };
+  }
+
+  // Largest batch `count` this caller may request.
+  const maxCountFor = (caller, hardLimit) => (caller ? Math.min(caller.maxCount ?? defaults.maxCount ?? hardLimit, hardLimit) : hardLimit);
+
+  // Largest number of provider submissions one batch may make for this caller, counting every
+  // sweep combination and pipeline step; null when the key has no limit of its own.
+  const maxSubmissionsFor = (caller) => (caller ? caller.maxCount ?? defaults.maxCount ?? null : null);
+
+  // ----- Key management (admin endpoints) -----
+  async function issueKey({ user, role = "user", dailyQuota, maxCount }) {
+    if (!user || typeof user !== "string") throw authError(400, "user is required");
+    if (role !== "user" && role !== "admin") throw authError(400, "role must be 'user' or 'admin'");
+    for (const [name, value] of Object.entries({ dailyQuota, maxCount })) {
+      if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) throw authError(400, `${name} must be a non-negative integer or null`);
+    }
+    const key = `bk_${crypto.randomBytes(24).toString("base64url")}`;
+    const id = await keyStore.createKey({
+      "User": user.trim(), "Role": role, "Key Hash": hashKey(key), "Key Prefix": key.slice(0, 10),
+      ...(dailyQuota != null && { "Daily Quota": dailyQuota }),
+      ...(maxCount != null && { "Max Count": maxCount }),
+      "Created At": new Date().toISOString(),
+    });
+    return { key, ...toCaller(await keyStore.getKey(id)) };
+  }
+
+  async function revokeKey(id) {
+    const row = await keyStore.getKey(id);
+    if (!row) throw authError(404, "API key not found");
+    if (!row.fields["Revoked At"]) await keyStore.patchKey(id, { "Revoked At": new Date().toISOString() });
+    for (const [cacheKey, entry] of cache) if (entry.caller?.id === id || cacheKey === `id:${id}`) cache.delete(cacheKey);
+    return toCaller(await keyStore.getKey(id));
+  }
+
+  const listKeys = async () => (await keyStore.listKeys()).map(toCaller);
+
+  // Runs and imports belong to the key that started them (a run's "Submitted By Key"); admin
+  // keys see everything. Without an owner (rows created in Airtable, or before ownership was
+  // recorded) only admins do.
+  const canAccess = (caller, ownerKey) => caller?.role === "admin" || (!!caller && !!ownerKey && ownerKey === caller.id);
+
+  // ----- Middleware -----
+  async function requireApiKey(req, res, next) {
+    try {
+      req.caller = await authenticate(req);
+    } catch (e) {
+      console.error("❌ API key lookup failed:", e.message);
+      return res.status(503).json({ error: "Authentication is temporarily unavailable" });
+    }
+    if (!req.caller) return res.status(401).json({ error: "Missing or invalid API key" });
+    next();
+  }
+
+  function requireAdmin(req, res, next) {
+    if (req.caller?.role !== "admin") return res.status(403).json({ error: "Admin API key required" });
+    next();
+  }
+
+  return {
+    authenticate, callerForKey, sessionCookie, clearSessionCookie,
+    reserveImages, maxCountFor, maxSubmissionsFor, canAccess, issueKey, revokeKey, listKeys,
+    requireApiKey, requireAdmin,
+  };
+}
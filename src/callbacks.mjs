@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import { createJsonFile } from "./jsonFile.mjs";
+import { safeFetch } from "./safeFetch.mjs";
+import { backoffDelay } from "./retry.mjs";
+import { withLogContext } from "./logger.mjs";
+
+// ---------- Signed Completion Callbacks ----------
+// When a run finishes, its summary is POSTed to the run's callbackUrl and to every global
+// target. Each request is signed like this:
+//   X-Batch-Event:     run.completed | run.partial | run.failed
+//   X-Batch-Delivery:  delivery id (stable across retries and replays, use it to dedupe)
+//   X-Batch-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with the shared secret>
+// Receivers should recompute v1 and reject stale timestamps.
+//
+// Every delivery and each of its attempts is kept in a JSON log (newest `retain` deliveries),
+// so failures can be inspected and replayed; deliveries still pending at shutdown resume on start.
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+export function createCallbackDispatcher({
+  secret, logPath, maxAttempts = 6, baseDelayMs = 5000, maxDelayMs = 10 * 60000, timeoutMs = 10000, retain = 1000,
+}) {
+  const file = createJsonFile(logPath, { label: "Callback log" });
+  let deliveries = null; // newest last
+  let loading = null;
+  const timers = new Map();
+
+  // Callers share one read, so deliveries recorded while it is in flight are not dropped.
+  function load() {
+    loading ||= file.read({}).then(data => (deliveries = data.deliveries || []), (e) => {
+      loading = null;
+      throw e;
+    });
+    return loading;
+  }
+
+  function persist() {
+    // Drop the oldest finished deliveries beyond the retention limit; pending ones always stay.
+    while (deliveries.length > retain) {
+      const i = deliveries.findIndex(d => d.status !== "pending");
+      if (i < 0) break;
+      deliveries.splice(i, 1);
+    }
+    // A failed write is logged by the file; the deliveries stay in memory either way.
+    return file.write({ deliveries }).catch(() => {});
+  }
+
+  function schedule(delivery, delayMs) {
+    clearTimeout(timers.get(delivery.id));
+    delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+    // Attempts log under the run they announce, not whatever request happened to finish it.
+    const timer = setTimeout(() => withLogContext({ runId: delivery.runId, recordId: delivery.recordId, requestId: null, provider: null }, () => {
+      timers.delete(delivery.id);
+      attempt(delivery);
+    }), delayMs);
+    timer.unref?.();
+    timers.set(delivery.id, timer);
+  }
+
+  async function attempt(delivery) {
+    const body = JSON.stringify({ ...delivery.payload, deliveryId: delivery.id, sentAt: new Date().toISOString() });
+    const started = Date.now();
+    const record = { at: new Date(started).toISOString(), status: null, error: null, durationMs: null };
+    try {
+      const res = await safeFetch(delivery.url, {
+        allowPrivate: delivery.trusted,
+        method: "POST",
+        body,
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "batch-runner-callbacks/1",
+          "X-Batch-Event": delivery.event,
+          "X-Batch-Delivery": delivery.id,
+          "X-Batch-Signature": signPayload(secret, body),
+        },
+        signal: AbortSignal.timeout(timeoutMs),
+        maxRedirects: 0,
+      });
+      record.status = res.status;
+      res.body?.resume?.();
+      if (!res.ok) record.error = `HTTP ${res.status}`;
+    } catch (e) {
+      record.error = e.message;
+    }
+    record.durationMs = Date.now() - started;
+    delivery.attempts.push(record);
+
+    if (!record.error) {
+      Object.assign(delivery, { status: "delivered", nextAttemptAt: null, deliveredAt: record.at });
+      console.log(`📬 Callback ${delivery.event} for run ${delivery.runId} delivered to ${delivery.url}`);
+    } else if (delivery.attempts.length - delivery.replayedFrom >= maxAttempts) {
+      Object.assign(delivery, { status: "failed", nextAttemptAt: null });
+      console.error(`❌ Callback ${delivery.id} to ${delivery.url} failed after ${maxAttempts} attempts: ${record.error}`);
+    } else {
+      const attemptNo = delivery.attempts.length - delivery.replayedFrom;
+      schedule(delivery, Math.max(baseDelayMs, backoffDelay(attemptNo, { baseDelayMs, maxDelayMs })));
+      console.warn(`[CALLBACK] ${delivery.url} attempt ${attemptNo}/${maxAttempts} failed (${record.error}); next at ${delivery.nextAttemptAt}`);
+    }
+    await persist();
+  }
+
+  return {
+    // Queues one delivery per target: [{ url, trusted }]. Trusted (operator-configured)
+    // targets may be internal addresses; per-run callback URLs may not.
+    async enqueue(event, payload, targets) {
+      await load();
+      const created = targets.map(({ url, trusted = false }) => ({
+        id: `dlv_${crypto.randomBytes(9).toString("hex")}`,
+        event, url, trusted, runId: payload.runId, recordId: payload.recordId,
+        status: "pending", createdAt: new Date().toISOString(), nextAttemptAt: null, deliveredAt: null,
+        replayedFrom: 0, attempts: [], payload,
+      }));
+      deliveries.push(...created);
+      await persist();
+      created.forEach(d => schedule(d, 0));
+      return created;
+    },
+
+    // Sends a delivery again with a fresh set of attempts (same id and payload).
+    async replay(id) {
+      const delivery = (await load()).find(d => d.id === id);
+      if (!delivery) return null;
+      Object.assign(delivery, { status: "pending", replayedFrom: delivery.attempts.length });
+      await persist();
+      schedule(delivery, 0);
+      return delivery;
+    },
+
+    async get(id) {
+      return (await load()).find(d => d.id === id) || null;
+    },
+
+    // Newest first, without payloads.
+    async list({ status, runId, limit = 50 } = {}) {
+      return (await load())
+        .filter(d => (!status || d.status === status) && (!runId || d.runId === runId))
+        .slice(-limit).reverse()
+        .map(({ payload: _payload, ...rest }) => rest);
+    },
+
+    // Picks up deliveries that were still pending when the process stopped.
+    async resume() {
+      const pending = (await load()).filter(d => d.status === "pending");
+      pending.forEach(d => schedule(d, Math.max(0, Date.parse(d.nextAttemptAt || 0) - Date.now())));
+      if (pending.length) console.log(`📬 Resuming ${pending.length} pending callback deliveries.`);
+    },
+  };
+}
@@ -0,0 +1,186 @@
+import { recordResults } from "./runs.mjs";
+import { requestLineage } from "./pipeline.mjs";
+import { parseJSON } from "./fields.mjs";
+
+// ---------- Pricing ----------
+// Model pricing is declared on the model (see providers/*.mjs) as { perImage } or
+// { perMegapixel }, in USD, and can be overridden per model id without a deploy:
+//   MODEL_PRICING={"fal-ai/flux/dev":{"perMegapixel":0.03}}
+const round = (usd) => Math.round(usd * 1e6) / 1e6;
+
+export function createPricing(overrides = {}) {
+  const pricingFor = (model) => overrides[model.id] || model.pricing || null;
+
+  // Cost of one image at the given size; 0 for models without pricing.
+  function imageCost(model, { width, height } = {}) {
+    const pricing = pricingFor(model);
+    if (!pricing) return 0;
+    if (pricing.perMegapixel !== undefined) {
+      const megapixels = (Number(width) * Number(height)) / 1e6 || 1;
+      return round(pricing.perMegapixel * megapixels);
+    }
+    return round(Number(pricing.perImage) || 0);
+  }
+
+  // Estimate for a list of per-image params (one entry per submission).
+  const estimate = (model, paramsList) => round(paramsList.reduce((sum, params) => sum + imageCost(model, params), 0));
+
+  return { pricingFor, imageCost, estimate };
+}
+
+// Costs split by provider: { <Provider>: usd }. A run's pipeline steps may run on other
+// providers than its generation requests.
+export const sumCosts = (byProvider) => round(Object.values(byProvider).reduce((sum, usd) => sum + usd, 0));
+
+// a + sign * b per provider, never below zero.
+export function addCosts(a, b, sign = 1) {
+  const total = { ...a };
+  for (const [provider, usd] of Object.entries(b)) total[provider] = Math.max(0, round((total[provider] || 0) + sign * usd));
+  return total;
+}
+
+// The row's up-front estimate per provider. Rows from before "Provider Estimates" existed
+// have only the total, which belongs to the row's provider.
+export const providerEstimates = (fields) =>
+  parseJSON(fields["Provider Estimates"], null) || { [fields.Provider]: Number(fields["Estimated Cost"]) || 0 };
+
+// ---------- Spend ----------
+const FINISHED = ["completed", "failed", "timed_out"];
+const startOfDay = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+export const startOfMonth = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+// What a row counts against a budget: the actual cost once it is finished, and until
+// then whichever is larger of the actual cost so far and the up-front estimate.
+export function committedSpend(fields) {
+  const actual = Number(fields["Cost"]) || 0;
+  if (FINISHED.includes(fields["Status"])) return actual;
+  return Math.max(actual, Number(fields["Estimated Cost"]) || 0);
+}
+
+// Provider and model that produced a result: its pipeline step's, or the row's for
+// generation results.
+function resultSource(fields, lineage, result) {
+  const step = lineage[result.requestId];
+  return { provider: step?.provider || fields.Provider || "unknown", model: step?.model || fields.Model || "unknown" };
+}
+
+// committedSpend() per provider: each result's cost goes to the provider that produced it,
+// and until the row is finished each provider counts at least its share of the estimate.
+function committedSpendByProvider(fields) {
+  const lineage = requestLineage(fields);
+  const byProvider = {};
+  for (const result of recordResults(fields)) {
+    const cost = Number(result.cost) || 0;
+    if (!cost) continue;
+    const { provider } = resultSource(fields, lineage, result);
+    byProvider[provider] = (byProvider[provider] || 0) + cost;
+  }
+  const unattributed = (Number(fields["Cost"]) || 0) - sumCosts(byProvider);
+  if (unattributed > 0) byProvider[fields.Provider] = (byProvider[fields.Provider] || 0) + unattributed;
+  if (FINISHED.includes(fields["Status"])) return byProvider;
+  for (const [provider, estimate] of Object.entries(providerEstimates(fields))) {
+    byProvider[provider] = Math.max(byProvider[provider] || 0, Number(estimate) || 0);
+  }
+  return byProvider;
+}
+
+// Budgets: { daily, monthly, providers: { <Provider>: { daily, monthly } } }, in USD.
+// check({ <Provider>: usd }) throws a 402 error when adding those amounts would exceed any
+// configured limit: the global ones by their total, each provider's by its own share.
+export function createBudgetGuard({ budgets = {}, getRowsCreatedSince }) {
+  const limitsFor = (amounts) => [
+    { scope: "daily", limit: budgets.daily, provider: null, amount: sumCosts(amounts) },
+    { scope: "monthly", limit: budgets.monthly, provider: null, amount: sumCosts(amounts) },
+    ...Object.entries(amounts).flatMap(([provider, amount]) => [
+      { scope: "daily", limit: budgets.providers?.[provider]?.daily, provider, amount },
+      { scope: "monthly", limit: budgets.providers?.[provider]?.monthly, provider, amount },
+    ]),
+  ].filter(l => l.limit !== undefined && l.limit !== null && l.amount > 0);
+
+  // Spent today and this month, in total and per provider.
+  async function spend(now = new Date()) {
+    const dayStart = startOfDay(now).getTime();
+    const rows = await getRowsCreatedSince(startOfMonth(now).toISOString());
+    const totals = { daily: 0, monthly: 0, providers: {} };
+    for (const row of rows) {
+      const fields = row.fields || {};
+      const amount = committedSpend(fields);
+      const isToday = Date.parse(fields["Created At"] || row.createdTime) >= dayStart;
+      totals.monthly += amount;
+      if (isToday) totals.daily += amount;
+      for (const [provider, providerAmount] of Object.entries(committedSpendByProvider(fields))) {
+        const perProvider = totals.providers[provider] ||= { daily: 0, monthly: 0 };
+        perProvider.monthly += providerAmount;
+        if (isToday) perProvider.daily += providerAmount;
+      }
+    }
+    totals.daily = round(totals.daily);
+    totals.monthly = round(totals.monthly);
+    for (const entry of Object.values(totals.providers)) {
+      entry.daily = round(entry.daily);
+      entry.monthly = round(entry.monthly);
+    }
+    return totals;
+  }
+
+  async function check(amounts) {
+    const limits = limitsFor(amounts);
+    if (limits.length === 0) return;
+    const spent = await spend();
+    for (const { scope, limit, provider: limitProvider, amount } of limits) {
+      const current = limitProvider ? spent.providers[limitProvider]?.[scope] || 0 : spent[scope];
+      if (current + amount > limit) {
+        const label = limitProvider ? `${limitProvider} ${scope}` : scope;
+        throw Object.assign(
+          new Error(`Estimated cost $${amount.toFixed(4)} would exceed the ${label} budget ($${current.toFixed(4)} of $${limit} used)`),
+          { status: 402 },
+        );
+      }
+    }
+  }
+
+  return { check, spend, limitsFor };
+}
+
+// ---------- Usage Report (GET /api/usage) ----------
+// Actual cost per completed request, bucketed by the day the result arrived. Pipeline step
+// results count towards the step's provider and model.
+export function buildUsageReport(rows, { from, to }) {
+  const fromMs = Date.parse(from);
+  const toMs = Date.parse(to);
+  const total = { cost: 0, images: 0 };
+  const byProvider = new Map();
+  const byModel = new Map();
+  const byDay = new Map();
+  const bump = (map, key, extra, cost) => {
+    const entry = map.get(key) || { ...extra, cost: 0, images: 0 };
+    entry.cost += cost;
+    entry.images += 1;
+    map.set(key, entry);
+  };
+
+  for (const row of rows) {
+    const fields = row.fields || {};
+    const lineage = requestLineage(fields);
+    for (const result of recordResults(fields)) {
+      const at = Date.parse(result.completedAt);
+      if (!(at >= fromMs && at < toMs)) continue;
+      const cost = Number(result.cost) || 0;
+      const { provider, model } = resultSource(fields, lineage, result);
+      total.cost += cost;
+      total.images += 1;
+      bump(byProvider, provider, { provider }, cost);
+      bump(byModel, `${provider}\n${model}`, { provider, model }, cost);
+      bump(byDay, result.completedAt.slice(0, 10), { day: result.completedAt.slice(0, 10) }, cost);
+    }
+  }
+
+  const list = (map) => [...map.values()].map(e => ({ ...e, cost: round(e.cost) }));
+  return {
+    from, to, currency: "USD",
+    total: { ...total, cost: round(total.cost) },
+    byProvider: list(byProvider).sort((a, b) => b.cost - a.cost),
+    byModel: list(byModel).sort((a, b) => b.cost - a.cost),
+    byDay: list(byDay).sort((a, b) => a.day.localeCompare(b.day)),
+  };
+}
@@ -0,0 +1,113 @@
+import { runCombinations, recordResults } from "./runs.mjs";
+import { pipelineSteps, requestLineage } from "./pipeline.mjs";
+import { createZipWriter } from "./zip.mjs";
+
+// ---------- Run Exports ----------
+// A ZIP of a run's outputs (or of several runs, one folder each) with manifest.json and
+// manifest.csv describing every image: prompt, model, size, seed, provider request ID and
+// timestamps. Outputs that cannot be fetched stay in the manifest with an error instead of
+// a file, so one expired provider link does not fail the whole download.
+export const MANIFEST_COLUMNS = [
+  "runId", "recordId", "file", "requestId", "step", "parentRequestId", "provider", "model", "prompt",
+  "width", "height", "seed", "params", "mimeType", "bytes", "sha256", "cost",
+  "runCreatedAt", "completedAt", "url", "sourceUrl", "error",
+];
+
+const EXTENSIONS = {
+  "image/png": "png", "image/jpeg": "jpg", "image/webp": "webp", "image/gif": "gif", "image/avif": "avif",
+  "video/mp4": "mp4", "video/webm": "webm",
+};
+
+// One entry per output of the run, in arrival order. Rows from before "Results" existed only
+// have their Output attachments, which are listed without request details.
+export function runExportEntries(record) {
+  const fields = record.fields || {};
+  const { combinations, comboIndexOf } = runCombinations(fields);
+  const steps = pipelineSteps(fields);
+  const lineage = requestLineage(fields);
+  const results = recordResults(fields);
+  const sources = results.length > 0 ? results : (Array.isArray(fields.Output) ? fields.Output : []).map(o => ({ url: o.url }));
+
+  return sources.filter(r => r.url).map(r => {
+    const combo = combinations[comboIndexOf(r.requestId)] || combinations[0];
+    const stepNumber = lineage[r.requestId]?.step ?? 0;
+    const step = steps[stepNumber - 1];
+    // Pipeline step outputs are described by their step's model and parameters.
+    const params = step ? step.params : combo.params;
+    return {
+      runId: fields["Run ID"] || null, recordId: record.id,
+      requestId: r.requestId || null, step: stepNumber, parentRequestId: lineage[r.requestId]?.parentRequestId ?? null,
+      provider: step ? step.provider : fields.Provider || null, model: step ? step.model : fields.Model || null,
+      prompt: step?.prompt || combo.prompt || fields.Prompt || "",
+      width: r.width ?? params.width ?? null, height: r.height ?? params.height ?? null, seed: params.seed ?? null,
+      params, vars: combo.vars || {},
+      mimeType: r.mimeType || null, bytes: r.bytes ?? null, sha256: r.sha256 || null, cost: r.cost ?? null,
+      runCreatedAt: fields["Created At"] || null, completedAt: r.completedAt || null,
+      url: r.url, sourceUrl: r.sourceUrl || null, fileId: r.fileId || null,
+    };
+  });
+}
+
+// Text cells that a spreadsheet would run as a formula get a leading apostrophe.
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export const manifestCsv = (items) =>
+  `${[MANIFEST_COLUMNS, ...items.map(item => MANIFEST_COLUMNS.map(c => item[c]))].map(row => row.map(csvCell).join(",")).join("\r\n")}\r\n`;
+
+function extensionOf(mimeType, url) {
+  if (EXTENSIONS[mimeType]) return EXTENSIONS[mimeType];
+  const fromUrl = /\.([a-z0-9]{2,5})$/i.exec(new URL(url, "http://x").pathname)?.[1];
+  return fromUrl ? fromUrl.toLowerCase() : "bin";
+}
+
+// e.g. 003_step1_sim_1a2b.png
+const fileNameFor = (entry, index, mimeType) =>
+  `${String(index + 1).padStart(3, "0")}_${entry.step > 0 ? `step${entry.step}_` : ""}${(entry.requestId || "output").replace(/[^\w.-]/g, "_")}.${extensionOf(mimeType, entry.url)}`;
+
+const runFolder = (record) => `${(record.fields["Created At"] || "").slice(0, 10) || "undated"}_${record.fields["Run ID"] || record.id}`;
+
+// Streams the ZIP for `records` to `output` (the caller sets headers and ends the response).
+// loadFile(entry) returns { buffer, mimeType } for one output. Several runs get a folder each.
+export async function writeRunExport(output, records, { loadFile, exportedAt = new Date() }) {
+  const zip = createZipWriter(output);
+  const folders = records.length > 1;
+  const items = [];
+
+  for (const record of records) {
+    const folder = folders ? `${runFolder(record)}/` : "";
+    for (const [index, entry] of runExportEntries(record).entries()) {
+      const { fileId, ...item } = entry;
+      let file;
+      try {
+        file = await loadFile(entry);
+      } catch (e) {
+        if (output.destroyed) throw e;
+        items.push({ ...item, file: null, error: e.message });
+        continue;
+      }
+      const mimeType = file.mimeType || entry.mimeType || "";
+      const completedAt = new Date(entry.completedAt);
+      const name = await zip.addFile(`${folder}${fileNameFor(entry, index, mimeType)}`, file.buffer, {
+        mimeType, date: isNaN(completedAt) ? exportedAt : completedAt,
+      });
+      items.push({ ...item, file: name, mimeType: mimeType || null, bytes: file.buffer.length, error: null });
+    }
+  }
+
+  const manifest = {
+    exportedAt: exportedAt.toISOString(),
+    runs: records.map(r => r.fields["Run ID"] || r.id),
+    files: items.filter(i => i.file).length,
+    missing: items.filter(i => i.error).length,
+    items,
+  };
+  await zip.addFile("manifest.json", Buffer.from(JSON.stringify(manifest, null, 2)), { date: exportedAt, mimeType: "application/json" });
+  await zip.addFile("manifest.csv", Buffer.from(manifestCsv(items)), { date: exportedAt, mimeType: "text/csv" });
+  await zip.finish();
+  return { files: manifest.files, missing: manifest.missing };
+}
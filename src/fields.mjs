@@ -0,0 +1,13 @@
+// ---------- Row Field Helpers ----------
+// Request ID lists are stored comma-separated ("Request IDs", "Seen IDs", ...), structured
+// values as JSON text ("Results", "Lineage", "Sweep", ...).
+export const splitIds = (value) => (value || "").split(",").map(s => s.trim()).filter(Boolean);
+
+// A JSON field, or `fallback` when it is empty or unreadable.
+export const parseJSON = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch {
+    return fallback;
+  }
+};
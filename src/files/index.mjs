@@ -0,0 +1,20 @@
+import { createLocalFileStorage } from "./local.mjs";
+import { createS3FileStorage } from "./s3.mjs";
+
+// ---------- File Storage Selection ----------
+// A file storage backend keeps opaque blobs by key and exposes:
+//   put(key, buffer, contentType)
+//   get(key) -> { body: Readable, contentLength } or null
+//   exists(key) -> boolean
+export const FILE_STORAGES = ["local", "s3"];
+
+export function createFileStorage(kind, config) {
+  switch (kind) {
+    case "local":
+      return createLocalFileStorage(config.local);
+    case "s3":
+      return createS3FileStorage(config.s3);
+    default:
+      throw new Error(`Unknown OUTPUT_STORAGE "${kind}". Expected one of: ${FILE_STORAGES.join(", ")}, none`);
+  }
+}
@@ -0,0 +1,42 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// ---------- Local Disk File Storage ----------
+export function createLocalFileStorage({ dir }) {
+  const pathFor = (key) => path.join(dir, key);
+
+  return {
+    name: "local",
+
+    async put(key, body, contentType) {
+      await fsp.mkdir(dir, { recursive: true });
+      // Unique per write: two saves of the same key may run at once.
+      const tmp = `${pathFor(key)}.${crypto.randomUUID()}.tmp`;
+      await fsp.writeFile(tmp, body);
+      await fsp.rename(tmp, pathFor(key));
+      return { key, contentType };
+    },
+
+    // Returns { body: Readable, contentLength } or null when the key does not exist.
+    async get(key) {
+      try {
+        const stat = await fsp.stat(pathFor(key));
+        return { body: fs.createReadStream(pathFor(key)), contentLength: stat.size };
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+
+    async exists(key) {
+      try {
+        await fsp.access(pathFor(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+  };
+}
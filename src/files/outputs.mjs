@@ -0,0 +1,129 @@
+import fetch from "node-fetch";
+import crypto from "crypto";
+import sharp from "sharp";
+
+// ---------- Output Archive ----------
+// Copies finished outputs off the provider CDN (those links expire) into our own
+// storage. Files are content-addressed: the id is a prefix of the SHA-256, so a
+// duplicate webhook or poll for the same image stores nothing new. Each file is
+// kept as three keys: `<id>` (the bytes), `<id>-thumb` (a WebP thumbnail, images
+// only) and `<id>.json` (metadata).
+const FILE_ID_PATTERN = /^[a-f0-9]{32}(-thumb)?$/;
+
+export const isFileId = (id) => FILE_ID_PATTERN.test(id || "");
+
+// Fetches a provider (or any public) URL, refusing bodies over maxBytes.
+export async function downloadOutput(url, maxBytes) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Download failed: ${url} (Status: ${res.status})`);
+  const declared = Number(res.headers.get("content-length"));
+  if (declared > maxBytes) throw new Error(`Output is ${declared} bytes, over the ${maxBytes} byte limit`);
+
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of res.body) {
+    total += chunk.length;
+    if (total > maxBytes) throw new Error(`Output is over the ${maxBytes} byte limit`);
+    chunks.push(chunk);
+  }
+  return { buffer: Buffer.concat(chunks), contentType: (res.headers.get("content-type") || "").split(";")[0].trim() };
+}
+
+export function createOutputArchive({ storage, publicBaseUrl, thumbnailSize = 320, maxBytes = 100 * 1024 * 1024 }) {
+  const filesBase = `${publicBaseUrl.replace(/\/+$/, "")}/files/`;
+  const fileUrl = (id) => `${filesBase}${id}`;
+
+  const readAll = async (body) => {
+    const chunks = [];
+    for await (const chunk of body) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  };
+
+  async function readMetadata(id) {
+    const object = await storage.get(`${id}.json`);
+    if (!object) return null;
+    return JSON.parse((await readAll(object.body)).toString("utf8"));
+  }
+
+  // Concurrent saves of the same content (a webhook and the poller archiving one output)
+  // share a single write.
+  const savesInFlight = new Map(); // id -> Promise<record>
+
+  // Stores `buffer` and returns its metadata record, including the durable `url`.
+  function save(buffer, options) {
+    const sha256 = crypto.createHash("sha256").update(buffer).digest("hex");
+    const id = sha256.slice(0, 32);
+    if (!savesInFlight.has(id)) {
+      savesInFlight.set(id, store(buffer, { ...options, sha256, id }).finally(() => savesInFlight.delete(id)));
+    }
+    return savesInFlight.get(id);
+  }
+
+  async function store(buffer, { contentType, sourceUrl, sha256, id }) {
+    if (await storage.exists(`${id}.json`)) return readMetadata(id);
+
+    let width = null, height = null, mimeType = contentType || "application/octet-stream";
+    let thumbnail = null;
+    try {
+      const image = sharp(buffer);
+      const meta = await image.metadata();
+      width = meta.width ?? null;
+      height = meta.height ?? null;
+      // Trust the decoded format over whatever the sender claimed.
+      if (meta.format) mimeType = `image/${meta.format === "jpg" ? "jpeg" : meta.format}`;
+      const thumb = await image.resize(thumbnailSize, thumbnailSize, { fit: "inside", withoutEnlargement: true }).webp({ quality: 80 }).toBuffer();
+      await storage.put(`${id}-thumb`, thumb, "image/webp");
+      thumbnail = { id: `${id}-thumb`, url: fileUrl(`${id}-thumb`), mimeType: "image/webp", bytes: thumb.length };
+    } catch (e) {
+      // Not an image sharp can decode (e.g. video); keep the bytes without dimensions or thumbnail.
+      console.warn(`[Files] No thumbnail for ${sourceUrl}: ${e.message}`);
+    }
+
+    await storage.put(id, buffer, mimeType);
+    const record = {
+      id, url: fileUrl(id), sha256, mimeType, bytes: buffer.length, width, height,
+      thumbnail, sourceUrl, storedAt: new Date().toISOString(),
+    };
+    // Metadata goes last: its presence marks the file as completely stored.
+    await storage.put(`${id}.json`, Buffer.from(JSON.stringify(record)), "application/json");
+    return record;
+  }
+
+  // Returns { metadata, body, contentLength, mimeType } for /files/:id, or null.
+  async function open(id) {
+    if (!isFileId(id)) return null;
+    const baseId = id.replace(/-thumb$/, "");
+    const metadata = await readMetadata(baseId);
+    if (!metadata) return null;
+    const isThumb = id !== baseId;
+    if (isThumb && !metadata.thumbnail) return null;
+    const object = await storage.get(id);
+    if (!object) return null;
+    return { metadata, ...object, mimeType: isThumb ? metadata.thumbnail.mimeType : metadata.mimeType };
+  }
+
+  return {
+    fileUrl,
+    save,
+    open,
+
+    // Downloads `sourceUrl` and stores it, to hand out our URL in place of the provider link.
+    async persist(sourceUrl) {
+      const { buffer, contentType } = await downloadOutput(sourceUrl, maxBytes);
+      return save(buffer, { contentType, sourceUrl });
+    },
+
+    // The file id behind one of our own /files/ URLs, or null for any other URL.
+    idFromUrl(url) {
+      if (typeof url !== "string" || !url.startsWith(filesBase)) return null;
+      const id = url.slice(filesBase.length);
+      return isFileId(id) ? id : null;
+    },
+
+    // Returns { metadata, buffer } for a stored file, or null.
+    async read(id) {
+      const file = await open(id);
+      return file && { metadata: file.metadata, buffer: await readAll(file.body) };
+    },
+  };
+}
@@ -0,0 +1,71 @@
+import fetch from "node-fetch";
+import crypto from "crypto";
+
+// ---------- S3-Compatible File Storage ----------
+// Plain AWS Signature V4 over fetch, so it works against AWS S3, Cloudflare R2,
+// MinIO, Backblaze B2 and friends without pulling in an SDK.
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+const encodeKey = (key) => key.split("/").map(encodeURIComponent).join("/");
+
+export function createS3FileStorage({ endpoint, region = "us-east-1", bucket, accessKeyId, secretAccessKey, forcePathStyle = true }) {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error("S3 storage needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+  }
+  const base = new URL(endpoint);
+
+  function objectUrl(key) {
+    const url = new URL(base);
+    if (forcePathStyle) url.pathname = `/${bucket}/${encodeKey(key)}`;
+    else {
+      url.hostname = `${bucket}.${base.hostname}`;
+      url.pathname = `/${encodeKey(key)}`;
+    }
+    return url;
+  }
+
+  function sign(method, url, body = "", extraHeaders = {}) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const date = amzDate.slice(0, 8);
+    const payloadHash = sha256(body);
+    const headers = { host: url.host, "x-amz-content-sha256": payloadHash, "x-amz-date": amzDate, ...extraHeaders };
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalHeaders = signedHeaders.map(h => `${h}:${String(headers[h]).trim()}\n`).join("");
+    const canonicalRequest = [method, url.pathname, url.searchParams.toString(), canonicalHeaders, signedHeaders.join(";"), payloadHash].join("\n");
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), "s3"), "aws4_request");
+    const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+    delete headers.host;
+    headers.Authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(";")}, Signature=${signature}`;
+    return headers;
+  }
+
+  return {
+    name: "s3",
+
+    async put(key, body, contentType) {
+      const url = objectUrl(key);
+      const res = await fetch(url, { method: "PUT", body, headers: sign("PUT", url, body, { "content-type": contentType }) });
+      if (!res.ok) throw new Error(`S3 put ${key} failed: ${res.status} ${await res.text()}`);
+      return { key, contentType };
+    },
+
+    async get(key) {
+      const url = objectUrl(key);
+      const res = await fetch(url, { headers: sign("GET", url) });
+      if (res.status === 404) return null;
+      if (!res.ok) throw new Error(`S3 get ${key} failed: ${res.status}`);
+      return { body: res.body, contentLength: Number(res.headers.get("content-length")) || undefined };
+    },
+
+    async exists(key) {
+      const url = objectUrl(key);
+      const res = await fetch(url, { method: "HEAD", headers: sign("HEAD", url) });
+      if (res.status === 404) return false;
+      if (!res.ok) throw new Error(`S3 head ${key} failed: ${res.status}`);
+      return true;
+    },
+  };
+}
@@ -0,0 +1,84 @@
+import sharp from "sharp";
+import { safeFetch } from "./safeFetch.mjs";
+
+// ---------- Input Image Ingestion ----------
+// Subject and reference images come from user-supplied URLs or uploads. Every image is
+// size-capped while it is read, identified from its bytes (not its Content-Type), checked
+// against the allowed types and, when larger than the model accepts, downscaled.
+// Failures throw errors with an HTTP `status` so routes can return them as 4xx.
+const FORMAT_MIME_TYPES = { jpeg: "image/jpeg", png: "image/png", webp: "image/webp", gif: "image/gif", avif: "image/avif", tiff: "image/tiff" };
+
+const imageError = (status, message) => Object.assign(new Error(message), { status });
+
+async function readLimited(res, maxBytes, label) {
+  const declared = Number(res.headers.get("content-length"));
+  if (declared > maxBytes) throw imageError(413, `${label} is ${declared} bytes (limit ${maxBytes})`);
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of res.body) {
+    total += chunk.length;
+    if (total > maxBytes) {
+      res.body.destroy?.();
+      throw imageError(413, `${label} is larger than ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+export function createImageIngestor({
+  maxBytes = 10 * 1024 * 1024,
+  allowedTypes = ["image/png", "image/jpeg", "image/webp"],
+  allowPrivateUrls = false,
+  downscale = true,
+  defaultMaxDimension = 4096,
+  fetchTimeoutMs = 15000,
+}) {
+  // Returns { buffer, mimeType, width, height, dataUrl, resized }.
+  async function fromBuffer(buffer, { label = "image", maxDimension = defaultMaxDimension } = {}) {
+    if (buffer.length > maxBytes) throw imageError(413, `${label} is ${buffer.length} bytes (limit ${maxBytes})`);
+    let meta;
+    try {
+      meta = await sharp(buffer).metadata();
+    } catch {
+      throw imageError(415, `${label} is not a readable image`);
+    }
+    const mimeType = meta.format === "heif" && meta.compression === "av1" ? "image/avif" : FORMAT_MIME_TYPES[meta.format];
+    if (!mimeType || !allowedTypes.includes(mimeType)) {
+      throw imageError(415, `${label} is ${mimeType || meta.format}; allowed types: ${allowedTypes.join(", ")}`);
+    }
+
+    let { width, height } = meta;
+    let resized = false;
+    if (Math.max(width, height) > maxDimension) {
+      if (!downscale) throw imageError(400, `${label} is ${width}x${height}; the model accepts at most ${maxDimension}px per side`);
+      const format = mimeType.split("/")[1];
+      const { data, info } = await sharp(buffer)
+        .rotate() // bake in EXIF orientation, which re-encoding would otherwise drop
+        .resize(maxDimension, maxDimension, { fit: "inside" })
+        .toFormat(format === "gif" ? "png" : format)
+        .toBuffer({ resolveWithObject: true });
+      console.log(`[Image Prep] Downscaled ${label} from ${width}x${height} to ${info.width}x${info.height}.`);
+      buffer = data;
+      ({ width, height } = info);
+      resized = true;
+    }
+    const outType = resized && mimeType === "image/gif" ? "image/png" : mimeType;
+    return { buffer, mimeType: outType, width, height, resized, dataUrl: `data:${outType};base64,${buffer.toString("base64")}` };
+  }
+
+  async function fromUrl(url, { label = "image", maxDimension } = {}) {
+    let res;
+    try {
+      res = await safeFetch(url, { allowPrivate: allowPrivateUrls, signal: AbortSignal.timeout(fetchTimeoutMs) });
+    } catch (e) {
+      throw imageError(400, `Could not fetch ${label} (${url}): ${e.message}`);
+    }
+    if (!res.ok) throw imageError(400, `Could not fetch ${label} (${url}): status ${res.status}`);
+    const buffer = await readLimited(res, maxBytes, label);
+    console.log(`[Image Prep] ${label} size: ${(buffer.length / 1024 / 1024).toFixed(2)}MB.`);
+    return fromBuffer(buffer, { label, maxDimension });
+  }
+
+  return { fromUrl, fromBuffer, maxBytes, allowedTypes };
+}
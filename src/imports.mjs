@@ -0,0 +1,183 @@
+import crypto from "crypto";
+import { mapWithConcurrency } from "./concurrency.mjs";
+
+// ---------- Bulk Import Parsing ----------
+// Columns / keys: prompt, subjectUrl, referenceUrls, width, height, count, provider, model,
+// params, callbackUrl, pipeline (see toBatchRequest).
+// In CSV, referenceUrls holds several URLs separated by "|" or whitespace (or commas inside quotes).
+
+// RFC 4180 CSV: quoted fields may contain commas, newlines and "" escapes.
+// Returns [{ line, data }] where line is the 1-based line the row starts on.
+export function parseCsv(text) {
+  const records = [];
+  let field = "";
+  let row = [];
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === "\n") line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      records.push({ line: rowLine, cells: row });
+      row = [];
+      field = "";
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (inQuotes) throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    records.push({ line: rowLine, cells: row });
+  }
+
+  const nonEmpty = records.filter(r => r.cells.some(c => c.trim() !== ""));
+  if (nonEmpty.length === 0) return [];
+  const [header, ...rows] = nonEmpty;
+  const columns = header.cells.map(c => c.trim());
+  return rows.map(({ line: rowStart, cells }) => ({
+    line: rowStart,
+    data: Object.fromEntries(columns.map((column, i) => [column, (cells[i] ?? "").trim()])),
+  }));
+}
+
+export function parseJsonl(text) {
+  const rows = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    if (!raw.trim()) return;
+    try {
+      const data = JSON.parse(raw);
+      if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("expected a JSON object");
+      rows.push({ line: index + 1, data });
+    } catch (e) {
+      rows.push({ line: index + 1, data: null, parseError: `Invalid JSON: ${e.message}` });
+    }
+  });
+  return rows;
+}
+
+export function detectFormat(contentType = "", explicit) {
+  if (explicit) return String(explicit).toLowerCase();
+  if (/csv/i.test(contentType)) return "csv";
+  if (/(ndjson|jsonl|jsonlines)/i.test(contentType)) return "jsonl";
+  return null;
+}
+
+const splitUrls = (value) => (Array.isArray(value) ? value : String(value || "").split(/[|,\s]+/))
+  .map(s => String(s).trim()).filter(Boolean);
+
+// Maps a parsed row onto startBatch() arguments.
+export function toBatchRequest(data) {
+  return {
+    prompt: data.prompt,
+    subjectUrl: String(data.subjectUrl || "").trim(),
+    referenceUrls: splitUrls(data.referenceUrls),
+    count: data.count === undefined || data.count === "" ? 1 : Number(data.count),
+    provider: data.provider || undefined,
+    model: data.model || undefined,
+    params: { ...(data.params || {}), width: data.width, height: data.height },
+    callbackUrl: String(data.callbackUrl || "").trim(),
+    // JSONL rows give an array; CSV cells hold the same array as JSON text.
+    pipeline: data.pipeline || undefined,
+  };
+}
+
+// ---------- Import Runs ----------
+// Imports are tracked in memory: GET /api/imports/:id reports per-row progress. Only the newest
+// `retain` finished imports are kept; running ones always stay.
+export function createImportManager({ startBatch, validate, rowConcurrency, retain = 200 }) {
+  const imports = new Map(); // oldest first
+
+  function prune() {
+    let finished = [...imports.values()].filter(imp => imp.status === "completed").length;
+    for (const [id, imp] of imports) {
+      if (finished <= retain) break;
+      if (imp.status !== "completed") continue;
+      imports.delete(id);
+      finished--;
+    }
+  }
+
+  function summarize(imp) {
+    const counts = {};
+    imp.rows.forEach(r => { counts[r.status] = (counts[r.status] || 0) + 1; });
+    return { ...imp, counts };
+  }
+
+  async function runRow(row, caller) {
+    row.status = "submitting";
+    try {
+      const result = await startBatch(row.request, { caller });
+      Object.assign(row, {
+        status: result.submitted > 0 ? "submitted" : "failed",
+        runId: result.runId, recordId: result.parentRecordId, message: result.message,
+      });
+    } catch (e) {
+      Object.assign(row, { status: "failed", error: e.message });
+    }
+  }
+
+  return {
+    // Validates every row first; invalid rows are reported and skipped, valid rows are queued.
+    // Rows are submitted on behalf of `caller` (the API key that uploaded the import).
+    create({ format, rows, source, caller = null }) {
+      const id = crypto.randomUUID();
+      const imp = { id, format, source: source || null, submittedBy: caller?.user || null, submittedByKey: caller?.id || null, status: "queued", createdAt: new Date().toISOString(), finishedAt: null, rows: [] };
+
+      for (const { line, data, parseError } of rows) {
+        const errors = parseError ? [parseError] : validate(toBatchRequest(data), { caller });
+        imp.rows.push(errors.length
+          ? { line, status: "invalid", errors }
+          : { line, status: "queued", request: toBatchRequest(data), runId: null, recordId: null });
+      }
+      imports.set(id, imp);
+
+      const queued = imp.rows.filter(r => r.status === "queued");
+      if (queued.length === 0) {
+        imp.status = "completed";
+        imp.finishedAt = imp.createdAt;
+      } else {
+        imp.status = "running";
+        mapWithConcurrency(queued, rowConcurrency, row => runRow(row, caller)).then(() => {
+          imp.status = "completed";
+          imp.finishedAt = new Date().toISOString();
+          console.log(`📦 Import ${id} finished: ${queued.filter(r => r.status === "submitted").length}/${queued.length} rows submitted.`);
+        });
+      }
+      prune();
+      return summarize(imp);
+    },
+
+    get(id) {
+      const imp = imports.get(id);
+      return imp ? summarize(imp) : null;
+    },
+
+    list() {
+      return [...imports.values()].map(imp => {
+        const { rows, ...rest } = summarize(imp);
+        return { ...rest, total: rows.length };
+      });
+    },
+  };
+}
@@ -0,0 +1,92 @@
+import { withLogContext } from "./logger.mjs";
+
+// ---------- Airtable-Driven Intake ----------
+// Staff can start a batch by creating a row with Status = 'queued'. The watcher claims
+// such rows (Status -> 'pending', "Intake Claim" = owner@time) and hands them to
+// submitRow, which submits one slot at a time and records each request ID as soon as it
+// exists. If the server restarts mid-run, the row is still 'pending' with a claim; once
+// that claim goes stale it is re-claimed and only the remaining slots are submitted.
+export function createIntakeWatcher({ store, instanceId, intervalMs, claimTtlMs, submitRow, withRecordLock }) {
+  const LEASE_NAME = "airtable-intake";
+  let timer = null;
+  let stopped = true;
+
+  const claimValue = () => `${instanceId}@${new Date().toISOString()}`;
+  const claimTime = (claim) => Date.parse(String(claim || "").split("@").pop());
+
+  async function allRows(status) {
+    const rows = [];
+    let offset = null;
+    do {
+      const page = await store.listRows({ status, pageSize: 100, offset });
+      rows.push(...page.records);
+      offset = page.offset;
+    } while (offset);
+    return rows;
+  }
+
+  // Claims under the record lock and reads the row back, so a row is only ever
+  // submitted by the instance whose claim is stored on it.
+  async function claim(record, expectedStatus) {
+    return withRecordLock(record.id, async () => {
+      const current = await store.getRow(record.id);
+      const fields = current.fields || {};
+      if (fields.Status !== expectedStatus) return null;
+      if (expectedStatus === "pending" && !(Date.now() - claimTime(fields["Intake Claim"]) > claimTtlMs)) return null;
+
+      const ours = claimValue();
+      await store.patchRow(record.id, { "Status": "pending", "Intake Claim": ours, "Last Update": new Date().toISOString() });
+      const confirmed = await store.getRow(record.id);
+      return confirmed.fields?.["Intake Claim"] === ours ? confirmed : null;
+    });
+  }
+
+  async function scanOnce() {
+    if (!(await store.acquireLease(LEASE_NAME, instanceId, intervalMs * 2))) return;
+
+    const queued = await allRows("queued");
+    // Rows interrupted mid-submission: claimed earlier, still pending, claim gone stale.
+    const interrupted = (await allRows("pending"))
+      .filter(r => r.fields["Intake Claim"] && Date.now() - claimTime(r.fields["Intake Claim"]) > claimTtlMs);
+
+    for (const [record, status] of [...queued.map(r => [r, "queued"]), ...interrupted.map(r => [r, "pending"])]) {
+      let claimed;
+      try {
+        claimed = await claim(record, status);
+      } catch (e) {
+        console.error(`[INTAKE ERROR] Could not claim ${record.id}:`, e.message);
+        continue;
+      }
+      if (!claimed) continue;
+      console.log(`[INTAKE] ${status === "queued" ? "Claimed" : "Resuming"} row ${record.id}.`);
+      try {
+        await withLogContext({ recordId: record.id, runId: record.fields?.["Run ID"] }, () =>
+          submitRow(claimed, { refreshClaim: () => store.patchRow(record.id, { "Intake Claim": claimValue() }) }));
+      } catch (e) {
+        console.error(`[INTAKE ERROR] Row ${record.id}:`, e.message);
+      }
+    }
+  }
+
+  async function tick() {
+    try {
+      await scanOnce();
+    } catch (e) {
+      console.error("[INTAKE ERROR] Scan failed:", e.message);
+    }
+    if (!stopped) timer = setTimeout(tick, intervalMs);
+  }
+
+  return {
+    scanOnce,
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      timer = setTimeout(tick, intervalMs);
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
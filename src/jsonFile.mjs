@@ -0,0 +1,36 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// ---------- JSON Files ----------
+// The local job store, the local key store and the callback log each keep one JSON document
+// on disk. Writes go through a temp file + rename and are chained so they never interleave.
+// A failed write rejects for its caller only; the chain carries on with the next one.
+export function createJsonFile(filePath, { label, mode } = {}) {
+  let writeChain = Promise.resolve();
+
+  return {
+    // The parsed document, or `fallback` when the file does not exist yet.
+    async read(fallback) {
+      try {
+        return JSON.parse(await fs.readFile(filePath, "utf8"));
+      } catch (e) {
+        if (e.code !== "ENOENT") throw new Error(`${label} read failed (${filePath}): ${e.message}`);
+        return fallback;
+      }
+    },
+
+    // Serializes `data` now, so later changes to it wait for the next write.
+    write(data) {
+      const json = JSON.stringify(data, null, 2);
+      const write = writeChain.then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tmp = `${filePath}.${crypto.randomUUID()}.tmp`;
+        await fs.writeFile(tmp, json, mode === undefined ? undefined : { mode });
+        await fs.rename(tmp, filePath);
+      });
+      writeChain = write.catch(e => console.error(`❌ ${label} write failed (${filePath}): ${e.message}`));
+      return write;
+    },
+  };
+}
@@ -0,0 +1,45 @@
+import { AsyncLocalStorage } from "async_hooks";
+import util from "util";
+
+// ---------- Structured Logging ----------
+// console.log / warn / error stay the logging API everywhere; installStructuredConsole turns
+// each call into one JSON line:
+//   {"time":"…","level":"info","msg":"…","runId":"…","recordId":"…","requestId":"…","provider":"…"}
+// The ids come from the async context: wrap work in withLogContext({ recordId, ... }) (or add
+// to the current context with addLogContext) and every line logged underneath carries them,
+// including lines from timers and promises started there.
+const storage = new AsyncLocalStorage();
+const CONTEXT_KEYS = ["runId", "recordId", "requestId", "provider"];
+const LEVELS = { log: "info", info: "info", warn: "warn", error: "error", debug: "debug" };
+
+// Runs fn with ctx merged over the surrounding context.
+export function withLogContext(ctx, fn) {
+  return storage.run({ ...storage.getStore(), ...ctx }, fn);
+}
+
+// Adds ids for the rest of the current async function (e.g. once a handler knows the run it is
+// working on). The context is copied, so concurrent work started from the same parent (import
+// rows, pipeline steps) never sees each other's ids, and the caller's context is left as it was.
+export function addLogContext(ctx) {
+  storage.enterWith({ ...storage.getStore(), ...ctx });
+}
+
+// Errors are logged with their stack; everything else is formatted like console.log would.
+function formatArgs(args) {
+  const errors = args.filter(a => a instanceof Error);
+  const msg = util.formatWithOptions({ breakLength: Infinity }, ...args.map(a => (a instanceof Error ? a.message : a)));
+  return { msg, ...(errors.length > 0 && { stack: errors[0].stack }) };
+}
+
+// format "json" replaces the console methods; "text" keeps plain output (local development).
+export function installStructuredConsole({ format = "json", stream = process.stdout } = {}) {
+  if (format !== "json") return;
+  for (const [method, level] of Object.entries(LEVELS)) {
+    console[method] = (...args) => {
+      const ctx = storage.getStore() || {};
+      const line = { time: new Date().toISOString(), level, ...formatArgs(args) };
+      for (const key of CONTEXT_KEYS) if (ctx[key]) line[key] = ctx[key];
+      stream.write(`${JSON.stringify(line)}\n`);
+    };
+  }
+}
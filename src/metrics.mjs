@@ -0,0 +1,76 @@
+// ---------- Prometheus Metrics ----------
+// A small in-process registry rendered in the Prometheus text format (GET /metrics).
+// Counters and histograms are keyed by their label values; label names are fixed per metric.
+const DEFAULT_BUCKETS = [1, 5, 10, 30, 60, 120, 300, 600, 1800, 3600];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+const labelString = (names, values) =>
+  names.length === 0 ? "" : `{${names.map((n, i) => `${n}="${escapeLabel(values[i] ?? "")}"`).join(",")}}`;
+
+export function createMetrics({ prefix = "" } = {}) {
+  const metrics = [];
+
+  function register(type, name, help, labelNames, extra = {}) {
+    const metric = { type, name: `${prefix}${name}`, help, labelNames, series: new Map(), ...extra };
+    metrics.push(metric);
+    return metric;
+  }
+
+  const seriesFor = (metric, labels, init) => {
+    const values = metric.labelNames.map(n => labels[n]);
+    const key = JSON.stringify(values);
+    if (!metric.series.has(key)) metric.series.set(key, { values, ...init() });
+    return metric.series.get(key);
+  };
+
+  function counter(name, help, labelNames = []) {
+    const metric = register("counter", name, help, labelNames);
+    return {
+      inc(labels = {}, amount = 1) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+      },
+    };
+  }
+
+  // Gauges are read when /metrics is rendered: collect() returns [{ labels, value }].
+  function gauge(name, help, labelNames, collect) {
+    register("gauge", name, help, labelNames, { collect });
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const metric = register("histogram", name, help, labelNames, { buckets });
+    return {
+      observe(labels, value) {
+        const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((bound, i) => { if (value <= bound) series.counts[i] += 1; });
+        series.sum += value;
+        series.count += 1;
+      },
+    };
+  }
+
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+      if (metric.type === "gauge") {
+        for (const { labels = {}, value } of metric.collect()) {
+          lines.push(`${metric.name}${labelString(metric.labelNames, metric.labelNames.map(n => labels[n]))} ${value}`);
+        }
+      } else if (metric.type === "counter") {
+        for (const { values, value } of metric.series.values()) lines.push(`${metric.name}${labelString(metric.labelNames, values)} ${value}`);
+      } else {
+        for (const { values, counts, sum, count } of metric.series.values()) {
+          const names = [...metric.labelNames, "le"];
+          metric.buckets.forEach((bound, i) => lines.push(`${metric.name}_bucket${labelString(names, [...values, bound])} ${counts[i]}`));
+          lines.push(`${metric.name}_bucket${labelString(names, [...values, "+Inf"])} ${count}`);
+          lines.push(`${metric.name}_sum${labelString(metric.labelNames, values)} ${sum}`);
+          lines.push(`${metric.name}_count${labelString(metric.labelNames, values)} ${count}`);
+        }
+      }
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
@@ -0,0 +1,71 @@
+// ---------- Model Catalog & Parameter Schemas ----------
+// Each provider adapter exposes `models`: [{ id, label, params: [schema...] }]. The first
+// model is the provider default. A schema entry describes one user-facing parameter:
+//   { key, label, type: 'integer' | 'number' | 'string' | 'enum', min?, max?, options?, default?, required? }
+// Keys are provider-neutral (width, height, seed, negativePrompt, guidanceScale, steps,
+// outputFormat, scale, duration); adapters translate them into their own payload fields.
+// Models that only transform an input image (upscalers, image-to-video) set requiresImage.
+
+// Reusable schema entries, so the same parameter reads the same across models.
+export const size = (key, min, max, fallback = 1024) =>
+  ({ key, label: key === "width" ? "Width" : "Height", type: "integer", min, max, default: fallback, required: true });
+export const seed = () => ({ key: "seed", label: "Seed", type: "integer", min: 0, max: 2147483647 });
+export const negativePrompt = () => ({ key: "negativePrompt", label: "Negative prompt", type: "string" });
+export const guidanceScale = (min, max, fallback) => ({ key: "guidanceScale", label: "Guidance scale", type: "number", min, max, default: fallback });
+export const steps = (min, max, fallback) => ({ key: "steps", label: "Steps", type: "integer", min, max, default: fallback });
+export const outputFormat = (options, fallback = options[0]) => ({ key: "outputFormat", label: "Output format", type: "enum", options, default: fallback });
+export const scale = (max, fallback = 2) => ({ key: "scale", label: "Upscale factor", type: "integer", min: 1, max, default: fallback });
+export const duration = (min, max, fallback) => ({ key: "duration", label: "Duration (s)", type: "integer", min, max, default: fallback });
+
+export function findModel(adapter, modelId) {
+  const models = adapter.models || [];
+  if (!modelId) return models[0] || null;
+  return models.find(m => m.id === modelId) || null;
+}
+
+// Validates and coerces raw input (form strings or JSON values) against a model's schema.
+// Unknown keys are ignored; missing optional keys are left out unless they have a default.
+export function validateParams(model, input = {}) {
+  const params = {};
+  const errors = [];
+
+  for (const spec of model.params || []) {
+    const raw = input[spec.key];
+    if (raw === undefined || raw === null || raw === "") {
+      if (spec.default !== undefined) params[spec.key] = spec.default;
+      else if (spec.required) errors.push(`${spec.key} is required`);
+      continue;
+    }
+
+    let value = raw;
+    if (spec.type === "integer" || spec.type === "number") {
+      value = Number(raw);
+      if (!Number.isFinite(value) || (spec.type === "integer" && !Number.isInteger(value))) {
+        errors.push(`${spec.key} must be ${spec.type === "integer" ? "an integer" : "a number"}`);
+        continue;
+      }
+      if (spec.min !== undefined && value < spec.min) errors.push(`${spec.key} must be at least ${spec.min}`);
+      if (spec.max !== undefined && value > spec.max) errors.push(`${spec.key} must be at most ${spec.max}`);
+    } else if (spec.type === "enum") {
+      value = String(raw);
+      if (!spec.options.includes(value)) errors.push(`${spec.key} must be one of: ${spec.options.join(", ")}`);
+    } else {
+      value = String(raw);
+    }
+    params[spec.key] = value;
+  }
+
+  return { params, errors };
+}
+
+// JSON-safe view of an adapter's catalog for GET /api/providers and the /app form.
+export function describeProvider(adapter) {
+  return {
+    name: adapter.name,
+    label: adapter.label,
+    supportsReferences: Boolean(adapter.supportsReferences),
+    models: (adapter.models || []).map(({ id, label, params, maxInputSize, pricing, requiresImage }) => ({
+      id, label, params, maxInputSize: maxInputSize ?? null, pricing: pricing ?? null, requiresImage: Boolean(requiresImage),
+    })),
+  };
+}
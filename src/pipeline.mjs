@@ -0,0 +1,91 @@
+import { splitIds, parseJSON } from "./fields.mjs";
+
+// ---------- Post-Processing Pipelines ----------
+// A run may declare follow-up steps that run on each of its outputs, in order:
+//   pipeline: [{ provider, model, params, prompt?, input? }, ...]
+// e.g. generate -> upscale -> image-to-video. Whenever a result arrives, the next step is
+// submitted with that output as its input image: the subject by default, or a reference
+// when input is "reference" (a second pass guided by the first).
+//
+// The row keeps the resolved steps in "Pipeline" and the lineage of every step request in
+// "Lineage": { <childRequestId>: { step, parentRequestId, rootRequestId, provider, model } }.
+// Generation requests (step 0) have no lineage entry. Step requests share "Request IDs",
+// "Seen IDs" and "Failed Requests" with the generation requests, so the run completes only
+// once every branch has reached the last step or failed.
+export const PIPELINE_INPUTS = ["subject", "reference"];
+
+export const pipelineSteps = (fields) => parseJSON(fields.Pipeline, []);
+export const requestLineage = (fields) => parseJSON(fields.Lineage, {});
+
+// Provider that runs a request: the step's provider, or the row's for generation requests.
+export const requestProvider = (fields, requestId) => requestLineage(fields)[requestId]?.provider || fields.Provider;
+
+const pipelineError = (errors) => Object.assign(new Error(`Invalid pipeline: ${errors.join("; ")}`), { details: errors });
+
+// Validates a user-supplied pipeline (array or JSON string). `resolveModel(provider, model, params)`
+// returns { adapter, model, params } or throws. Returns the steps to store on the row, or throws
+// an Error carrying `details` (one message per problem).
+export function resolvePipeline(raw, { resolveModel, maxSteps }) {
+  let steps = raw;
+  if (typeof steps === "string") {
+    if (!steps.trim()) return [];
+    steps = parseJSON(steps, null);
+    if (!steps) throw pipelineError(["pipeline must be a JSON array of steps"]);
+  }
+  if (steps === undefined || steps === null) return [];
+  if (!Array.isArray(steps)) throw pipelineError(["pipeline must be an array of steps"]);
+  if (steps.length > maxSteps) throw pipelineError([`pipeline has ${steps.length} steps (limit ${maxSteps})`]);
+
+  const errors = [];
+  const resolved = steps.map((step, i) => {
+    const label = `pipeline step ${i + 1}`;
+    if (!step || typeof step !== "object") {
+      errors.push(`${label} must be an object`);
+      return null;
+    }
+    const input = step.input || "subject";
+    if (!PIPELINE_INPUTS.includes(input)) errors.push(`${label}: input must be one of: ${PIPELINE_INPUTS.join(", ")}`);
+    try {
+      const { adapter, model, params } = resolveModel(step.provider, step.model, step.params || {});
+      if (input === "reference" && !adapter.supportsReferences) errors.push(`${label}: ${adapter.name} does not take reference images`);
+      return { provider: adapter.name, model: model.id, params, prompt: step.prompt ? String(step.prompt) : null, input };
+    } catch (e) {
+      errors.push(...(e.details || [e.message]).map(message => `${label}: ${message}`));
+      return null;
+    }
+  });
+  if (errors.length) throw pipelineError(errors);
+  return resolved;
+}
+
+// Results (from recordResults) that still need their next step: the request is on the row and
+// has no live child, so either the step has not been submitted yet, its submission failed, or
+// its child was retired by a retry. `only` limits this to one request.
+export function resultsAwaitingStep(fields, results, { only } = {}) {
+  const pipeline = pipelineSteps(fields);
+  if (pipeline.length === 0) return [];
+  const lineage = requestLineage(fields);
+  const requestIds = splitIds(fields["Request IDs"]);
+  const parentsWithChild = new Set(requestIds.map(id => lineage[id]?.parentRequestId).filter(Boolean));
+  return results.filter(r => (!only || r.requestId === only)
+    && requestIds.includes(r.requestId) && !parentsWithChild.has(r.requestId)
+    && (lineage[r.requestId]?.step ?? 0) < pipeline.length);
+}
+
+// Per-step progress for the run summary: how many requests each step has submitted,
+// received and lost.
+export function pipelineStages(fields, { requestIds, seenIds, failedIds }) {
+  const steps = pipelineSteps(fields);
+  if (steps.length === 0) return null;
+  const lineage = requestLineage(fields);
+  const stages = [{ step: 0, provider: fields.Provider || null, model: fields.Model || null }, ...steps.map((s, i) => ({ step: i + 1, provider: s.provider, model: s.model }))]
+    .map(stage => ({ ...stage, submitted: 0, received: 0, failed: 0 }));
+  for (const id of requestIds) {
+    const stage = stages[lineage[id]?.step ?? 0];
+    if (!stage) continue;
+    stage.submitted += 1;
+    if (seenIds.includes(id)) stage.received += 1;
+    else if (failedIds.includes(id)) stage.failed += 1;
+  }
+  return stages;
+}
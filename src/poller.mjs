@@ -0,0 +1,154 @@
+import { mapWithConcurrency } from "./concurrency.mjs";
+import { requestProvider } from "./pipeline.mjs";
+import { submittedAtOf } from "./runs.mjs";
+import { withLogContext } from "./logger.mjs";
+import { splitIds } from "./fields.mjs";
+
+// ---------- Stuck Job Scheduler ----------
+// Finds rows that stayed 'processing' without an update, and asks the provider
+// directly for every request that has not reported back yet.
+//  - all pages of pending rows are read (the store follows pagination)
+//  - provider status checks run with bounded concurrency
+//  - each request backs off between checks while it keeps answering 'processing'
+//  - requests submitted more than maxJobAgeMinutes ago get one last status check and are
+//    timed out if still unresolved (each request by its own "Submitted At", so retries and
+//    late pipeline steps on an old row get their full time)
+//  - a store-level lease makes sure only one server instance polls at a time
+//  - onChecked(provider, outcome) reports every check (completed/failed/processing/error)
+
+export function createPoller({
+  store, getProvider, instanceId,
+  intervalMs, stuckMinutes, concurrency, maxJobAgeMinutes,
+  backoffBaseMs, backoffMaxMs,
+  onCompleted, onFailed, onTimedOut, onChecked = () => {},
+}) {
+  const LEASE_NAME = "stuck-job-poller";
+  const leaseTtlMs = intervalMs * 2;
+  const schedule = new Map(); // requestId -> { attempts, nextCheckAt }
+  let timer = null;
+  let stopped = true;
+
+  const isDue = (requestId, now) => (schedule.get(requestId)?.nextCheckAt ?? 0) <= now;
+
+  function deferCheck(requestId) {
+    const attempts = (schedule.get(requestId)?.attempts ?? 0) + 1;
+    // Doubles from backoffBaseMs; the random half keeps checks from bunching up.
+    const delay = Math.min(backoffMaxMs, backoffBaseMs * 2 ** (attempts - 1));
+    schedule.set(requestId, { attempts, nextCheckAt: Date.now() + delay / 2 + Math.random() * delay / 2 });
+  }
+
+  // Returns true when the request is still unresolved.
+  async function checkRequest({ record, adapter, requestId }) {
+    let statusCheck;
+    try {
+      statusCheck = await adapter.checkStatus(requestId);
+    } catch (e) {
+      onChecked(adapter.name, "error");
+      throw e;
+    }
+    onChecked(adapter.name, statusCheck.status);
+
+    if (statusCheck.status === "completed") {
+      schedule.delete(requestId);
+      console.log(`[POLLING SUCCESS] Found completed job ${requestId}. Manually updating Airtable.`);
+      await onCompleted(record.id, requestId, statusCheck.outputUrl, adapter.name);
+    } else if (statusCheck.status === "failed") {
+      schedule.delete(requestId);
+      console.log(`[POLLING FAIL] Found failed job ${requestId}. Manually updating Airtable.`);
+      await onFailed(record.id, requestId, `❌ Job ${requestId} failed (via Polling). ${statusCheck.error}`);
+    } else {
+      deferCheck(requestId);
+      return true;
+    }
+    return false;
+  }
+
+  async function pollOnce() {
+    if (!(await store.acquireLease(LEASE_NAME, instanceId, leaseTtlMs))) {
+      console.log(`[POLLING] Another instance holds the polling lease. Skipping.`);
+      return;
+    }
+    console.log(`[POLLING] Checking for jobs stuck in 'processing' (>${stuckMinutes} mins)...`);
+
+    const rows = await store.getPendingRows(stuckMinutes);
+    const now = Date.now();
+    const checks = [];
+    const stillPending = new Set();
+    const expiredUnchecked = [];
+
+    for (const record of rows) {
+      const { fields } = record;
+      if (!getProvider(fields.Provider)) continue;
+
+      const seenIds = splitIds(fields["Seen IDs"]);
+      const failedIds = splitIds(fields["Failed Requests"]);
+      const pendingIds = splitIds(fields["Request IDs"]).filter(id => !seenIds.includes(id) && !failedIds.includes(id));
+      if (pendingIds.length === 0) continue;
+
+      // Pipeline step requests may run on a different provider than the row's.
+      for (const requestId of pendingIds) {
+        const adapter = getProvider(requestProvider(fields, requestId));
+        const submittedAt = submittedAtOf(fields, requestId, fields["Created At"] || record.createdTime);
+        const expired = Number.isFinite(submittedAt) && now - submittedAt > maxJobAgeMinutes * 60 * 1000;
+        if (!adapter) {
+          if (expired) expiredUnchecked.push({ record, requestId });
+          continue;
+        }
+        stillPending.add(requestId);
+        if (expired || isDue(requestId, now)) checks.push({ record, adapter, requestId, expired });
+      }
+    }
+    // Requests resolved by a webhook since the last pass no longer need a backoff entry.
+    for (const requestId of schedule.keys()) {
+      if (!stillPending.has(requestId)) schedule.delete(requestId);
+    }
+
+    const results = await mapWithConcurrency(checks, concurrency, (check) =>
+      withLogContext({ recordId: check.record.id, requestId: check.requestId, provider: check.adapter.name }, () => checkRequest(check)));
+    const timedOut = new Map(expiredUnchecked.map(({ record }) => [record.id, []])); // recordId -> requestIds
+    expiredUnchecked.forEach(({ record, requestId }) => timedOut.get(record.id).push(requestId));
+    results.forEach((result, i) => {
+      const { record, requestId, expired } = checks[i];
+      if (result.status === "rejected") {
+        deferCheck(requestId);
+        console.error(`[POLLING ERROR] Status check failed for ${requestId}:`, result.reason.message);
+      }
+      // Expired requests that are still processing (or whose last check failed) are given up on.
+      if (expired && (result.status === "rejected" || result.value)) {
+        schedule.delete(requestId);
+        if (!timedOut.has(record.id)) timedOut.set(record.id, []);
+        timedOut.get(record.id).push(requestId);
+      }
+    });
+    for (const [recordId, requestIds] of timedOut) {
+      try {
+        await onTimedOut(recordId, requestIds);
+      } catch (e) {
+        console.error(`[POLLING ERROR] Could not time out requests on ${recordId}:`, e.message);
+      }
+    }
+  }
+
+  // Self-scheduling instead of setInterval, so a slow pass never overlaps the next one.
+  async function tick() {
+    try {
+      await pollOnce();
+    } catch (e) {
+      console.error("[POLLING ERROR] Failed to check stuck jobs:", e.message);
+    }
+    if (!stopped) timer = setTimeout(tick, intervalMs);
+  }
+
+  return {
+    pollOnce,
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      timer = setTimeout(tick, intervalMs);
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
@@ -0,0 +1,178 @@
+import fetch from "node-fetch";
+import crypto from "crypto";
+import { upstreamError } from "../retry.mjs";
+import { size, seed, negativePrompt, guidanceScale, steps, outputFormat, scale } from "../models.mjs";
+
+const DEFAULT_BASE_URL = "https://api.fal.ai/v1";
+const DEFAULT_JWKS_URL = "https://rest.alpha.fal.ai/.well-known/jwks.json";
+const JWKS_CACHE_MS = 24 * 60 * 60 * 1000;
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// ---------- Fal Models ----------
+const MODELS = [
+  {
+    id: "fal-ai/stable-diffusion-xl",
+    label: "Stable Diffusion XL",
+    pricing: { perImage: 0.01 },
+    maxInputSize: 2048,
+    params: [
+      size("width", 512, 2048), size("height", 512, 2048), seed(), negativePrompt(),
+      guidanceScale(0, 20, 7.5), steps(1, 65, 25), outputFormat(["jpeg", "png"]),
+    ],
+    toPayload: ({ prompt, params, subjectImageUrl }) => ({
+      prompt,
+      image_url: subjectImageUrl || null,
+      width: params.width,
+      height: params.height,
+      negative_prompt: params.negativePrompt,
+      guidance_scale: params.guidanceScale,
+      num_inference_steps: params.steps,
+      format: params.outputFormat,
+      ...(params.seed !== undefined && { seed: params.seed }),
+    }),
+  },
+  {
+    id: "fal-ai/flux/dev",
+    label: "FLUX.1 [dev]",
+    pricing: { perMegapixel: 0.025 },
+    params: [
+      size("width", 256, 2048), size("height", 256, 2048), seed(),
+      guidanceScale(1, 20, 3.5), steps(1, 50, 28), outputFormat(["jpeg", "png"]),
+    ],
+    toPayload: ({ prompt, params }) => ({
+      prompt,
+      image_size: { width: params.width, height: params.height },
+      guidance_scale: params.guidanceScale,
+      num_inference_steps: params.steps,
+      output_format: params.outputFormat,
+      ...(params.seed !== undefined && { seed: params.seed }),
+    }),
+  },
+  // Post-processing models, mostly used as pipeline steps.
+  {
+    id: "fal-ai/esrgan",
+    label: "ESRGAN upscaler",
+    pricing: { perImage: 0.005 },
+    requiresImage: true,
+    maxInputSize: 2048,
+    params: [scale(4)],
+    toPayload: ({ params, subjectImageUrl }) => ({ image_url: subjectImageUrl, scale: params.scale }),
+  },
+  {
+    id: "fal-ai/imageutils/rembg",
+    label: "Background removal",
+    pricing: { perImage: 0.002 },
+    requiresImage: true,
+    maxInputSize: 4096,
+    params: [],
+    toPayload: ({ subjectImageUrl }) => ({ image_url: subjectImageUrl }),
+  },
+];
+
+// Image models answer with images[], single-output tools with image, video models with video.
+const outputUrlOf = (result) => result?.images?.[0]?.url || result?.image?.url || result?.video?.url || null;
+
+// ---------- Fal Adapter ----------
+// baseUrl and jwksUrl can point at a mock or proxy of the Fal API.
+export function createFalProvider({ apiToken, verifyWebhooks = true, baseUrl = DEFAULT_BASE_URL, jwksUrl = DEFAULT_JWKS_URL }) {
+  baseUrl = baseUrl.replace(/\/+$/, "");
+  const authHeaders = { Authorization: `Key ${apiToken}`, "Content-Type": "application/json" };
+
+  // Fal signs webhooks with ED25519; the public keys are published as a JWKS.
+  let jwksCache = { keys: [], fetchedAt: 0 };
+  async function falPublicKeys() {
+    if (Date.now() - jwksCache.fetchedAt < JWKS_CACHE_MS && jwksCache.keys.length > 0) return jwksCache.keys;
+    const res = await fetch(jwksUrl);
+    if (!res.ok) throw new Error(`Fal JWKS fetch failed: ${res.status}`);
+    const { keys = [] } = await res.json();
+    jwksCache = {
+      keys: keys.map(jwk => crypto.createPublicKey({ key: { kty: "OKP", crv: "Ed25519", x: jwk.x }, format: "jwk" })),
+      fetchedAt: Date.now(),
+    };
+    return jwksCache.keys;
+  }
+
+  return {
+    name: "Fal",
+    slug: "fal",
+    label: "Fal",
+    supportsReferences: false,
+    models: MODELS,
+
+    // Fal accepts data URIs wherever it takes a file URL, so it gets the validated bytes
+    // rather than fetching the user's URL itself.
+    async prepareInputs({ subject }) {
+      return { subjectImageUrl: subject?.dataUrl || null };
+    },
+
+    async submit({ prompt, model, params, subjectImageUrl, webhookUrl }) {
+      const payload = model.toPayload({ prompt, params, subjectImageUrl });
+      const url = `${baseUrl}/models/${model.id}/generate?webhook=${encodeURIComponent(webhookUrl)}`;
+
+      const res = await fetch(url, { method: "POST", headers: authHeaders, body: JSON.stringify(payload) });
+      const txt = await res.text();
+      if (!res.ok) throw upstreamError(`Fal API Error (${res.status}): ${txt}`, res);
+      const responseData = JSON.parse(txt);
+      const requestId = responseData.request_id;
+      if (!requestId) throw new Error("Fal submit: no id in response");
+      console.log(`🚀 Fal job submitted: ${requestId}`);
+      return requestId;
+    },
+
+    async checkStatus(requestId) {
+      const res = await fetch(`${baseUrl}/requests/${requestId}/status`, { headers: authHeaders });
+      const data = await res.json();
+
+      if (data.status === "COMPLETED" && outputUrlOf(data.result)) {
+        return { status: "completed", outputUrl: outputUrlOf(data.result) };
+      }
+      if (data.status === "ERROR" || data.error) {
+        return { status: "failed", error: data.error || "Job failed on Fal side." };
+      }
+      return { status: "processing" };
+    },
+
+    async verifySignature({ headers, rawBody }) {
+      if (!verifyWebhooks) return {};
+      const requestId = headers["x-fal-webhook-request-id"];
+      const userId = headers["x-fal-webhook-user-id"];
+      const timestamp = headers["x-fal-webhook-timestamp"];
+      const signature = headers["x-fal-webhook-signature"];
+      if (!requestId || !userId || !timestamp || !signature) return { error: "Missing Fal signature headers" };
+      if (Math.abs(Date.now() / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) return { error: "Stale Fal signature" };
+
+      const bodyHash = crypto.createHash("sha256").update(rawBody || "").digest("hex");
+      const message = Buffer.from([requestId, userId, timestamp, bodyHash].join("\n"));
+      const signatureBytes = Buffer.from(String(signature), "hex");
+      let keys;
+      try {
+        keys = await falPublicKeys();
+      } catch (e) {
+        return { error: `Unable to verify Fal signature: ${e.message}` };
+      }
+      const valid = keys.some(key => {
+        try {
+          return crypto.verify(null, message, key, signatureBytes);
+        } catch {
+          return false;
+        }
+      });
+      return valid ? { deliveryId: `fal:${requestId}:${timestamp}` } : { error: "Invalid Fal signature" };
+    },
+
+    // Any answer below 500 means the API is up; the response itself is not interesting.
+    async ping() {
+      const res = await fetch(baseUrl, { headers: authHeaders, signal: AbortSignal.timeout(5000) });
+      if (res.status >= 500) throw new Error(`Fal answered ${res.status}`);
+    },
+
+    parseWebhook(data) {
+      const requestId = data.request_id || "";
+      if (data.status === "ERROR" || data.error) {
+        return { requestId, status: "failed", error: data.error || null };
+      }
+      const outputUrl = outputUrlOf(data.result);
+      return { requestId, status: outputUrl ? "completed" : "processing", outputUrl };
+    },
+  };
+}
@@ -0,0 +1,46 @@
+// ---------- Provider Adapter Registry ----------
+// Every provider is described by a single adapter object. The core flow (dispatch in
+// /api/start-batch, webhook routes, stuck-job polling and the /app form) is generated
+// from this registry, so adding a provider means registering one more adapter.
+//
+// Adapter shape:
+//   name            value stored in the Airtable "Provider" field (e.g. "WaveSpeed")
+//   slug            webhook route segment -> /webhooks/<slug>
+//   label           human readable name, used for the UI
+//   supportsReferences  whether reference images are forwarded to the provider
+//   models          model catalog with parameter schemas (see ../models.mjs); first is the default.
+//                   Models that take input images may set maxInputSize (longest edge, px).
+//                   pricing is { perImage } or { perMegapixel } in USD (see ../costs.mjs).
+//                   requiresImage marks models that transform a subject image (pipeline steps).
+//   prepareInputs({ subject, references })  optional, runs once per batch; images are already
+//                   validated and normalized: { url, dataUrl, mimeType, width, height }
+//   submit(job)     -> provider request id (job carries prompt, model, validated params, inputs, webhookUrl)
+//   checkStatus(requestId) -> { status: 'completed' | 'failed' | 'processing', outputUrl?, error? }
+//   parseWebhook(body) -> { requestId, status, outputUrl?, error? }
+//   verifySignature({ headers, rawBody })  optional, provider-native webhook signature check
+//                   -> { error } on failure, otherwise { deliveryId? }
+//   ping()          optional, readiness check; resolves when the API answers, throws otherwise
+
+const REQUIRED_METHODS = ["submit", "checkStatus", "parseWebhook"];
+const providers = new Map();
+
+export function registerProvider(adapter) {
+  if (!adapter?.name || !adapter?.slug) throw new Error("Provider adapter needs a name and a slug");
+  for (const method of REQUIRED_METHODS) {
+    if (typeof adapter[method] !== "function") throw new Error(`Provider ${adapter.name} is missing ${method}()`);
+  }
+  if (!adapter.models?.length) throw new Error(`Provider ${adapter.name} does not declare any models`);
+  if (providers.has(adapter.name.toLowerCase())) throw new Error(`Provider ${adapter.name} is already registered`);
+  providers.set(adapter.name.toLowerCase(), adapter);
+  return adapter;
+}
+
+// Lookup is case-insensitive so "fal" from a form and "Fal" from Airtable both resolve.
+export function getProvider(name) {
+  if (!name) return null;
+  return providers.get(String(name).trim().toLowerCase()) || null;
+}
+
+export function listProviders() {
+  return [...providers.values()];
+}
@@ -0,0 +1,126 @@
+import fetch from "node-fetch";
+import crypto from "crypto";
+import sharp from "sharp";
+import { upstreamError } from "../retry.mjs";
+import { size, seed, scale } from "../models.mjs";
+
+// ---------- Simulated Models ----------
+const MODELS = [
+  {
+    id: "simulated/placeholder",
+    label: "Placeholder (offline simulation)",
+    pricing: { perImage: 0 },
+    maxInputSize: 4096,
+    params: [size("width", 64, 2048), size("height", 64, 2048), seed()],
+  },
+  {
+    id: "simulated/upscale",
+    label: "Placeholder upscale (offline simulation)",
+    pricing: { perImage: 0 },
+    requiresImage: true,
+    maxInputSize: 2048,
+    params: [scale(4)],
+  },
+];
+
+const MAX_TRACKED_JOBS = 10000;
+const escapeXml = (s) => String(s).replace(/[<>&'"]/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" }[c]));
+
+// ---------- Simulated Adapter ----------
+// Runs the whole submit -> webhook -> poll -> complete lifecycle without a live account.
+// Submissions are accepted in memory; after a random delay each job completes (or fails,
+// at failureRate) and its webhook is POSTed back to us, unless it is dropped (at
+// webhookDropRate) so that only polling can pick it up. submitErrorRate makes submits
+// answer 503 to exercise submit retries. Outputs are PNG placeholders rendered on request
+// and served from /simulated/outputs/<requestId>.png (see outputFor).
+export function createSimulatedProvider({
+  publicBaseUrl, minDelayMs = 2000, maxDelayMs = 8000, failureRate = 0, submitErrorRate = 0, webhookDropRate = 0,
+}) {
+  const jobs = new Map(); // requestId -> { prompt, params, inputSize, status, error, createdAt }
+  const outputUrl = (requestId) => `${publicBaseUrl.replace(/\/+$/, "")}/simulated/outputs/${requestId}.png`;
+
+  function track(requestId, job) {
+    jobs.set(requestId, job);
+    if (jobs.size > MAX_TRACKED_JOBS) jobs.delete(jobs.keys().next().value);
+  }
+
+  async function deliver(requestId, webhookUrl) {
+    const job = jobs.get(requestId);
+    const failed = Math.random() < failureRate;
+    Object.assign(job, failed ? { status: "failed", error: "Simulated generation failure" } : { status: "completed" });
+    if (Math.random() < webhookDropRate) {
+      console.log(`[Simulated] Dropped webhook for ${requestId} (${job.status}); polling has to find it.`);
+      return;
+    }
+    const body = failed
+      ? { id: requestId, status: "failed", error: job.error }
+      : { id: requestId, status: "completed", outputs: [outputUrl(requestId)] };
+    try {
+      const res = await fetch(webhookUrl, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+      if (!res.ok) console.warn(`[Simulated] Webhook for ${requestId} answered ${res.status}`);
+    } catch (e) {
+      console.warn(`[Simulated] Webhook for ${requestId} failed: ${e.message}`);
+    }
+  }
+
+  return {
+    name: "Simulated",
+    slug: "simulated",
+    label: "Simulated (offline)",
+    supportsReferences: true,
+    models: MODELS,
+
+    // Only the subject's size is kept: upscale placeholders are rendered at a multiple of it.
+    async prepareInputs({ subject }) {
+      return { inputSize: subject ? { width: subject.width, height: subject.height } : null };
+    },
+
+    async submit({ prompt, params, inputSize, webhookUrl }) {
+      if (Math.random() < submitErrorRate) {
+        throw upstreamError("Simulated API Error (503): simulated outage", { status: 503 });
+      }
+      const requestId = `sim_${crypto.randomBytes(8).toString("hex")}`;
+      track(requestId, { prompt, params, inputSize, status: "processing", error: null, createdAt: Date.now() });
+      const delay = minDelayMs + Math.random() * Math.max(0, maxDelayMs - minDelayMs);
+      setTimeout(() => deliver(requestId, webhookUrl), delay).unref?.();
+      console.log(`🚀 Simulated job submitted: ${requestId} (finishes in ${Math.round(delay)}ms)`);
+      return requestId;
+    },
+
+    async checkStatus(requestId) {
+      const job = jobs.get(requestId);
+      if (!job) return { status: "failed", error: "Unknown simulated request (jobs do not survive a restart)." };
+      if (job.status === "completed") return { status: "completed", outputUrl: outputUrl(requestId) };
+      if (job.status === "failed") return { status: "failed", error: job.error };
+      return { status: "processing" };
+    },
+
+    async ping() {},
+
+    parseWebhook(data) {
+      const requestId = data.id || "";
+      if (data.status === "failed") return { requestId, status: "failed", error: data.error || null };
+      const url = data.outputs?.[0] || null;
+      return { requestId, status: url ? "completed" : "processing", outputUrl: url };
+    },
+
+    // The placeholder for a completed job: a solid colour picked from the prompt and seed,
+    // labelled with the prompt and size. null for unknown or unfinished jobs.
+    async outputFor(requestId) {
+      const job = jobs.get(requestId);
+      if (!job || job.status !== "completed") return null;
+      const { seed: jobSeed = "" } = job.params;
+      const factor = job.params.scale || 1;
+      const width = job.params.width || Math.min(4096, (job.inputSize?.width || 512) * factor);
+      const height = job.params.height || Math.min(4096, (job.inputSize?.height || 512) * factor);
+      const hue = crypto.createHash("sha256").update(`${job.prompt}\n${jobSeed}`).digest().readUInt16BE(0) % 360;
+      const fontSize = Math.max(10, Math.round(Math.min(width, height) / 20));
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+        <rect width="100%" height="100%" fill="hsl(${hue},55%,45%)"/>
+        <text x="50%" y="50%" fill="#fff" font-family="sans-serif" font-size="${fontSize}" text-anchor="middle">${escapeXml(job.prompt.slice(0, 60))}</text>
+        <text x="50%" y="${50 + (fontSize * 150) / height}%" fill="#fff" font-family="sans-serif" font-size="${Math.round(fontSize * 0.7)}" text-anchor="middle">${width}x${height} · ${requestId}</text>
+      </svg>`;
+      return { buffer: await sharp(Buffer.from(svg)).png().toBuffer(), mimeType: "image/png" };
+    },
+  };
+}
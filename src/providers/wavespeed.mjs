@@ -0,0 +1,144 @@
+import fetch from "node-fetch";
+import crypto from "crypto";
+import { upstreamError } from "../retry.mjs";
+import { safeEqual } from "../webhookAuth.mjs";
+import { size, seed, guidanceScale, steps, duration } from "../models.mjs";
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const DEFAULT_BASE_URL = "https://api.wavespeed.ai/api/v3";
+
+// ---------- WaveSpeed Models ----------
+// toPayload turns validated params (+ inline images) into the model's request body.
+const MODELS = [
+  {
+    id: "bytedance/seedream-v4",
+    label: "Seedream v4 (T2I + Image Condition)",
+    pricing: { perImage: 0.027 },
+    maxInputSize: 4096,
+    params: [size("width", 1024, 4096), size("height", 1024, 4096), seed()],
+    toPayload: ({ prompt, params, images }) => ({
+      prompt,
+      model: "bytedance/seedream-v4",
+      width: params.width,
+      height: params.height,
+      images,
+      ...(params.seed !== undefined && { seed: params.seed }),
+    }),
+  },
+  {
+    id: "wavespeed-ai/flux-dev",
+    label: "FLUX.1 [dev]",
+    pricing: { perImage: 0.025 },
+    params: [size("width", 512, 1536), size("height", 512, 1536), seed(), guidanceScale(1, 20, 3.5), steps(1, 50, 28)],
+    toPayload: ({ prompt, params }) => ({
+      prompt,
+      size: `${params.width}*${params.height}`,
+      guidance_scale: params.guidanceScale,
+      num_inference_steps: params.steps,
+      ...(params.seed !== undefined && { seed: params.seed }),
+    }),
+  },
+  {
+    id: "wavespeed-ai/wan-2.1/i2v-480p",
+    label: "WAN 2.1 image-to-video (480p)",
+    pricing: { perImage: 0.2 },
+    requiresImage: true,
+    maxInputSize: 2048,
+    params: [duration(5, 10, 5), seed()],
+    toPayload: ({ prompt, params, images }) => ({
+      prompt,
+      image: images[0],
+      duration: params.duration,
+      ...(params.seed !== undefined && { seed: params.seed }),
+    }),
+  },
+];
+
+// ---------- WaveSpeed Adapter ----------
+// baseUrl can point at a mock or proxy of the WaveSpeed API.
+export function createWaveSpeedProvider({ apiKey, webhookSecret, baseUrl = DEFAULT_BASE_URL }) {
+  baseUrl = baseUrl.replace(/\/+$/, "");
+  const authHeaders = { Authorization: `Bearer ${apiKey}` };
+
+  return {
+    name: "WaveSpeed",
+    slug: "wavespeed",
+    label: "WaveSpeed",
+    supportsReferences: true,
+    models: MODELS,
+
+    // WaveSpeed wants the images inline.
+    async prepareInputs({ subject, references }) {
+      return {
+        subjectDataUrl: subject?.dataUrl || null,
+        referenceDataUrls: (references || []).map(r => r.dataUrl),
+      };
+    },
+
+    async submit({ prompt, model, params, subjectDataUrl, referenceDataUrls, webhookUrl }) {
+      const images = [subjectDataUrl, ...(referenceDataUrls || [])].filter(Boolean);
+      const payload = model.toPayload({ prompt, params, images });
+      const url = `${baseUrl}/${model.id}`;
+
+      const res = await fetch(`${url}?webhook=${encodeURIComponent(webhookUrl)}`, {
+        method: "POST",
+        headers: { ...authHeaders, "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      const txt = await res.text();
+      if (!res.ok) throw upstreamError(`WaveSpeed API Error (${res.status}): ${txt}`, res);
+      const responseData = JSON.parse(txt);
+      const requestId = responseData.data?.id || responseData.data?.request_id;
+      if (!requestId) throw new Error("WaveSpeed submit: no id in response");
+      console.log(`🚀 WaveSpeed job submitted: ${requestId}`);
+      return requestId;
+    },
+
+    async checkStatus(requestId) {
+      const res = await fetch(`${baseUrl}/tasks/${requestId}`, { headers: authHeaders });
+      const data = await res.json();
+
+      if (data.status === "success" && data.outputs && data.outputs.length > 0) {
+        return { status: "completed", outputUrl: data.outputs.find(s => s.startsWith("http")) };
+      }
+      if (data.status === "failed" || data.error) {
+        return { status: "failed", error: data.error || "Job failed on WaveSpeed side." };
+      }
+      return { status: "processing" };
+    },
+
+    // WaveSpeed signs deliveries with webhook-id / webhook-timestamp / webhook-signature
+    // headers (HMAC-SHA256 over "<id>.<timestamp>.<body>"). Only checked when a secret is configured.
+    verifySignature({ headers, rawBody }) {
+      if (!webhookSecret) return {};
+      const id = headers["webhook-id"];
+      const timestamp = Number(headers["webhook-timestamp"]);
+      const signatures = String(headers["webhook-signature"] || "").split(" ").filter(Boolean);
+      if (!id || !timestamp || signatures.length === 0) return { error: "Missing WaveSpeed signature headers" };
+      if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return { error: "Stale WaveSpeed signature" };
+
+      const key = webhookSecret.replace(/^whsec_/, "");
+      const digest = crypto.createHmac("sha256", key).update(`${id}.${timestamp}.${rawBody || ""}`).digest();
+      const valid = signatures.some(entry => {
+        const sig = entry.includes(",") ? entry.slice(entry.indexOf(",") + 1) : entry;
+        return safeEqual(sig, digest.toString("hex")) || safeEqual(sig, digest.toString("base64"));
+      });
+      return valid ? { deliveryId: `wavespeed:${id}` } : { error: "Invalid WaveSpeed signature" };
+    },
+
+    // Any answer below 500 means the API is up; the response itself is not interesting.
+    async ping() {
+      const res = await fetch(baseUrl, { headers: authHeaders, signal: AbortSignal.timeout(5000) });
+      if (res.status >= 500) throw new Error(`WaveSpeed answered ${res.status}`);
+    },
+
+    parseWebhook(data) {
+      const requestId = data.id || data.requestId || "";
+      if (data.status === "failed" || data.error) {
+        return { requestId, status: "failed", error: data.error || null };
+      }
+      const outputUrl = data.outputs?.find(s => typeof s === "string" && s.startsWith("http")) || null;
+      return { requestId, status: outputUrl ? "completed" : "processing", outputUrl };
+    },
+  };
+}
@@ -0,0 +1,20 @@
+// ---------- Per-Record Serialization ----------
+// Webhooks for the same batch tend to land within milliseconds of each other, and the
+// poller can race a late webhook. Every read-modify-write of a record runs through
+// withRecordLock so updates to one record are applied strictly one after another.
+//
+// The lock lives in this process only. Neither store can compare-and-swap a row, so two
+// instances writing the same run can still overwrite each other: webhooks, polling and
+// retries must all reach one instance (see "Running several instances" in README.md).
+const tails = new Map();
+
+export function withRecordLock(recordId, fn) {
+  const previous = tails.get(recordId) || Promise.resolve();
+  const run = previous.then(() => fn());
+  const tail = run.catch(() => {});
+  tails.set(recordId, tail);
+  tail.then(() => {
+    if (tails.get(recordId) === tail) tails.delete(recordId);
+  });
+  return run;
+}
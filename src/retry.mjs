@@ -0,0 +1,41 @@
+// ---------- Retry with Exponential Backoff ----------
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Provider errors carry `upstreamStatus` (the HTTP status the provider answered with).
+// Rate limits, 5xx responses and network failures are worth another attempt; anything
+// else (bad payload, auth) will fail the same way again.
+export function isRetryableSubmitError(error) {
+  const status = error?.upstreamStatus;
+  if (status) return status === 408 || status === 429 || status >= 500;
+  return error?.name === "FetchError" || ["ECONNRESET", "ETIMEDOUT", "ECONNREFUSED", "EAI_AGAIN"].includes(error?.code);
+}
+
+// Full jitter: a random delay between 0 and the exponential cap, so a batch of ten
+// submissions that hit the same 429 do not all come back at the same moment.
+export function backoffDelay(attempt, { baseDelayMs = 500, maxDelayMs = 15000 } = {}) {
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+}
+
+export async function withRetry(fn, { retries = 3, baseDelayMs, maxDelayMs, isRetryable = isRetryableSubmitError, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+      // Honour Retry-After when the provider sent one, otherwise back off with jitter.
+      const delay = error.retryAfterMs ?? backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+      onRetry?.(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+// Builds the error thrown for a non-2xx provider response.
+export function upstreamError(message, res) {
+  const retryAfter = Number(res.headers?.get?.("retry-after"));
+  return Object.assign(new Error(message), {
+    upstreamStatus: res.status,
+    retryAfterMs: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : undefined,
+  });
+}
@@ -0,0 +1,99 @@
+import { EventEmitter } from "events";
+import { requestLineage, pipelineStages } from "./pipeline.mjs";
+import { splitIds, parseJSON } from "./fields.mjs";
+
+// ---------- Run Status ----------
+
+// Parameters stored on the row; rows created before the model catalog only have "Size".
+export function recordParams(fields) {
+  const stored = parseJSON(fields.Parameters, null);
+  if (stored) return stored;
+  const [width, height] = String(fields.Size || "1024x1024").split("x").map(Number);
+  return { width, height };
+}
+
+// The combinations a run was expanded into. A plain batch is a single combination;
+// sweep runs store them in "Sweep" and map each request to its combination in "Variables".
+// Pipeline step requests belong to the combination of the generation request they descend from.
+export function runCombinations(fields) {
+  const combinations = parseJSON(fields.Sweep, null)
+    || [{ prompt: fields.Prompt || "", params: recordParams(fields), vars: {} }];
+  const indexByRequest = parseJSON(fields.Variables, {});
+  const lineage = requestLineage(fields);
+  return { combinations, comboIndexOf: (requestId) => indexByRequest[lineage[requestId]?.rootRequestId ?? requestId] ?? 0 };
+}
+
+// When each request was submitted: "Submitted At" is { requestId: iso }. Requests from before
+// the field existed count from the row's creation.
+export const submissionTimes = (fields) => parseJSON(fields["Submitted At"], {});
+
+export function submittedAtOf(fields, requestId, fallback = fields["Created At"]) {
+  return Date.parse(submissionTimes(fields)[requestId] || fallback || "");
+}
+
+// Completed results in arrival order: [{ requestId, url, completedAt }], plus step and
+// parentRequestId for pipeline step outputs.
+export const recordResults = (fields) => parseJSON(fields.Results, []);
+
+// Public view of a batch row, shared by GET /api/runs/:runId and the SSE stream.
+export function summarizeRun(record) {
+  const fields = record.fields || {};
+  const requestIds = splitIds(fields["Request IDs"]);
+  const seenIds = splitIds(fields["Seen IDs"]);
+  const failedRequests = splitIds(fields["Failed Requests"]);
+  // Submission errors are free-text messages, so they are stored one per line.
+  const submissionErrors = (fields["Failed IDs"] || "").split("\n").map(s => s.trim()).filter(Boolean);
+  const outputs = Array.isArray(fields["Output"]) ? fields["Output"] : [];
+  const { combinations, comboIndexOf } = runCombinations(fields);
+
+  return {
+    runId: fields["Run ID"] || null,
+    recordId: record.id,
+    provider: fields["Provider"] || null,
+    model: fields["Model"] || null,
+    prompt: fields["Prompt"] || "",
+    status: fields["Status"] || "pending",
+    submittedBy: fields["Submitted By"] || null,
+    expected: requestIds.length,
+    received: seenIds.filter(id => requestIds.includes(id)).length,
+    outputs: outputs.map(o => o.url).filter(Boolean),
+    estimatedCost: Number(fields["Estimated Cost"]) || 0,
+    cost: Number(fields["Cost"]) || 0,
+    results: recordResults(fields).map(r => ({ ...r, vars: combinations[comboIndexOf(r.requestId)]?.vars || {} })),
+    sweep: Boolean(fields.Sweep),
+    pipeline: pipelineStages(fields, { requestIds, seenIds, failedIds: failedRequests }),
+    failures: [
+      ...failedRequests.map(requestId => ({ requestId, stage: "generation" })),
+      ...submissionErrors.map(error => ({ requestId: null, stage: "submission", error })),
+    ],
+    note: fields["Note"] || "",
+    createdAt: fields["Created At"] || null,
+    updatedAt: fields["Last Update"] || null,
+    completedAt: fields["Completed At"] || null,
+  };
+}
+
+// How a run ended, once every submitted request has either produced a result or failed:
+// 'completed' (all results), 'failed' (none) or 'partial'. null while anything is outstanding.
+export function runOutcome(summary) {
+  if (summary.expected === 0) return summary.status === "failed" ? "failed" : null;
+  const failed = summary.failures.filter(f => f.stage === "generation").length;
+  if (summary.received + failed < summary.expected) return null;
+  if (summary.received === 0) return "failed";
+  return summary.received === summary.expected ? "completed" : "partial";
+}
+
+// ---------- Run Events (feeds /api/runs/:runId/events) ----------
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per open SSE connection
+
+export function publishRunUpdate(record) {
+  const summary = summarizeRun(record);
+  if (summary.runId) emitter.emit(summary.runId, summary);
+  return summary;
+}
+
+export function subscribeToRun(runId, listener) {
+  emitter.on(runId, listener);
+  return () => emitter.off(runId, listener);
+}
@@ -0,0 +1,81 @@
+import fetch from "node-fetch";
+import http from "http";
+import https from "https";
+import dns from "dns";
+import net from "net";
+
+// ---------- Outbound Fetch Guard ----------
+// For URLs supplied by users: only http(s), never private, loopback, link-local or
+// otherwise non-public addresses. The check runs inside the socket's DNS lookup, so
+// the address that is validated is the one that gets connected to (no DNS rebinding),
+// and redirects are followed by hand so every hop goes through the same check.
+const blockList = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) blockList.addSubnet(prefix, bits, "ipv4");
+for (const [prefix, bits] of [
+  ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+]) blockList.addSubnet(prefix, bits, "ipv6");
+
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked against the IPv4 ranges by BlockList itself.
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return blockList.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+const privateAddressError = (host, address) => Object.assign(
+  new Error(host === address ? `${host} is not a public address` : `${host} resolves to a non-public address (${address})`),
+  { code: "EPRIVATEADDRESS" },
+);
+
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const list = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = list.find(a => isPrivateAddress(a.address));
+    if (blocked) return callback(privateAddressError(hostname, blocked.address));
+    callback(null, address, family);
+  });
+}
+
+const guardedAgents = {
+  "http:": new http.Agent({ lookup: guardedLookup }),
+  "https:": new https.Agent({ lookup: guardedLookup }),
+};
+
+// Throws unless `url` is an http(s) URL whose host is not a literal non-public IP.
+// Hostnames are resolved (and checked) at connect time by guardedLookup.
+export function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw Object.assign(new Error(`Invalid URL: ${url}`), { code: "EINVALIDURL" });
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw Object.assign(new Error(`Only http(s) URLs are allowed: ${url}`), { code: "EINVALIDURL" });
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (isPrivateAddress(host)) throw privateAddressError(host, host);
+  return parsed;
+}
+
+// fetch() for user-supplied URLs. Pass allowPrivate to skip the address checks (local development).
+export async function safeFetch(url, { allowPrivate = false, maxRedirects = 3, ...options } = {}) {
+  let current = url;
+  for (let hop = 0; ; hop++) {
+    const parsed = allowPrivate ? new URL(current) : assertPublicUrl(current);
+    const res = await fetch(parsed.href, {
+      ...options,
+      redirect: "manual",
+      ...(!allowPrivate && { agent: guardedAgents[parsed.protocol] }),
+    });
+    const location = res.headers.get("location");
+    if (res.status < 300 || res.status >= 400 || !location) return res;
+    if (hop >= maxRedirects) throw new Error(`Too many redirects fetching ${url}`);
+    res.body?.resume?.();
+    current = new URL(location, parsed).href;
+  }
+}
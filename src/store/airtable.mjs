@@ -0,0 +1,113 @@
+import { createAirtableClient, formulaString } from "../airtable.mjs";
+
+// ---------- Airtable Job Store ----------
+export function createAirtableStore({ pat, baseId, table, locksTable = "Locks", apiUrl = "https://api.airtable.com/v0", onResponse }) {
+  const { request, queryAll, tableUrl } = createAirtableClient({ pat, baseId, apiUrl, onResponse });
+  const baseURL = tableUrl(table);
+  const locksURL = tableUrl(locksTable);
+  let leaseTableMissing = false;
+
+  return {
+    name: "airtable",
+
+    async createRow(fields) {
+      const res = await request("create", baseURL, { method: "POST", body: JSON.stringify({ records: [{ fields }] }) });
+      const txt = await res.text();
+      if (!res.ok) throw new Error(`Airtable create failed: ${res.status} ${txt}`);
+      const data = JSON.parse(txt);
+      return data.records?.[0]?.id;
+    },
+
+    async patchRow(id, fields) {
+      const res = await request("patch", `${baseURL}/${id}`, { method: "PATCH", body: JSON.stringify({ fields }) });
+      if (!res.ok) throw new Error(`Airtable patch ${res.status}: ${await res.text()}`);
+    },
+
+    async getRow(recordId) {
+      const res = await request("get", `${baseURL}/${recordId}`);
+      if (!res.ok) throw new Error(`Airtable get failed: ${res.status}`);
+      return res.json();
+    },
+
+    async getPendingRows(stuckMinutes) {
+      const filter = `AND(Status='processing', IS_BEFORE({Last Update}, DATEADD(NOW(), -${stuckMinutes}, 'minutes')))`;
+      return queryAll("query", baseURL, { filterByFormula: filter });
+    },
+
+    async listRows({ status, provider, runId, ownerKey, pageSize = 20, offset } = {}) {
+      const conditions = [];
+      if (status) conditions.push(`{Status}=${formulaString(status)}`);
+      if (provider) conditions.push(`{Provider}=${formulaString(provider)}`);
+      if (runId) conditions.push(`{Run ID}=${formulaString(runId)}`);
+      if (ownerKey) conditions.push(`{Submitted By Key}=${formulaString(ownerKey)}`);
+
+      const params = new URLSearchParams({ pageSize: String(pageSize), "sort[0][field]": "Created At", "sort[0][direction]": "desc" });
+      if (conditions.length) params.set("filterByFormula", `AND(${conditions.join(",")})`);
+      if (offset) params.set("offset", offset);
+      const res = await request("list", `${baseURL}?${params}`);
+      if (!res.ok) throw new Error(`Airtable query failed: ${res.status}`);
+      const data = await res.json();
+      return { records: data.records || [], offset: data.offset || null };
+    },
+
+    async getRowsCreatedSince(iso) {
+      return queryAll("query", baseURL, { filterByFormula: `IS_AFTER({Created At}, ${formulaString(iso)})` });
+    },
+
+    // Readiness check: one page of one row proves the base, table and token all work.
+    async ping() {
+      const res = await request("ping", `${baseURL}?pageSize=1`);
+      if (!res.ok) throw new Error(`Airtable answered ${res.status}`);
+    },
+
+    async findRowByRunId(runId) {
+      const filter = `{Run ID}=${formulaString(runId)}`;
+      const url = `${baseURL}?maxRecords=1&filterByFormula=${encodeURIComponent(filter)}`;
+      const res = await request("find", url);
+      if (!res.ok) throw new Error(`Airtable query failed: ${res.status}`);
+      const data = await res.json();
+      return data.records?.[0] || null;
+    },
+
+    // Leases live in a separate table (Name, Owner, Expires At). Airtable has no
+    // compare-and-swap, so after claiming we read the row back and only report success
+    // if our owner id survived; the loser of a simultaneous claim sees the other owner.
+    // Bases without that table run without a lease (every instance polls), with a warning.
+    async acquireLease(name, owner, ttlMs) {
+      if (leaseTableMissing) return true;
+      // If two instances ever created a row each, everyone agrees on the same current holder.
+      const currentHolder = {
+        filterByFormula: `{Name}=${formulaString(name)}`, maxRecords: "1",
+        "sort[0][field]": "Expires At", "sort[0][direction]": "desc",
+        "sort[1][field]": "Owner", "sort[1][direction]": "asc",
+      };
+      let existing;
+      try {
+        [existing] = await queryAll("query", locksURL, currentHolder);
+      } catch (e) {
+        // Airtable answers 404 for an unknown table, 403 when the token cannot see it.
+        if (e.status !== 404 && e.status !== 403) throw e;
+        leaseTableMissing = true;
+        console.warn(`⚠️ Airtable table "${locksTable}" not found (${e.status}). Polling and intake run without a lease; run a single instance or create the table (Name, Owner, Expires At).`);
+        return true;
+      }
+      const holder = existing?.fields || {};
+      if (existing && holder.Owner !== owner && Date.parse(holder["Expires At"] || 0) > Date.now()) return false;
+
+      const fields = { Name: name, Owner: owner, "Expires At": new Date(Date.now() + ttlMs).toISOString() };
+      let lockId = existing?.id;
+      if (lockId) {
+        const res = await request("lease", `${locksURL}/${lockId}`, { method: "PATCH", body: JSON.stringify({ fields }) });
+        if (!res.ok) throw new Error(`Airtable lease patch ${res.status}: ${await res.text()}`);
+      } else {
+        const res = await request("lease", locksURL, { method: "POST", body: JSON.stringify({ records: [{ fields }] }) });
+        if (!res.ok) throw new Error(`Airtable lease create failed: ${res.status} ${await res.text()}`);
+        lockId = (await res.json()).records?.[0]?.id;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 500));
+      const [confirmed] = await queryAll("query", locksURL, currentHolder);
+      return confirmed?.id === lockId && confirmed.fields.Owner === owner;
+    },
+  };
+}
@@ -0,0 +1,28 @@
+import { createAirtableStore } from "./airtable.mjs";
+import { createLocalStore } from "./local.mjs";
+
+// ---------- Job Store Selection ----------
+// A job store persists batch rows and exposes:
+//   createRow(fields) -> id
+//   patchRow(id, fields)
+//   getRow(id) -> { id, fields }
+//   getPendingRows(stuckMinutes) -> every row still 'processing' with no update for stuckMinutes
+//   listRows({ status, provider, runId, ownerKey, pageSize, offset }) -> { records, offset }, newest first;
+//                   ownerKey keeps only rows whose "Submitted By Key" is that API key id;
+//                   pass the returned offset back to fetch the next page (null when done)
+//   findRowByRunId(runId) -> row or null
+//   getRowsCreatedSince(iso) -> every row whose "Created At" is after iso (cost accounting)
+//   acquireLease(name, owner, ttlMs) -> true if `owner` now holds the named lease
+//   ping() -> resolves when the store is reachable (readiness checks)
+export const JOB_STORES = ["airtable", "local"];
+
+export function createJobStore(kind, config) {
+  switch (kind) {
+    case "airtable":
+      return createAirtableStore(config.airtable);
+    case "local":
+      return createLocalStore(config.local);
+    default:
+      throw new Error(`Unknown JOB_STORE "${kind}". Expected one of: ${JOB_STORES.join(", ")}`);
+  }
+}
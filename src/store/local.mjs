@@ -0,0 +1,113 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { createJsonFile } from "../jsonFile.mjs";
+
+// ---------- Local JSON File Job Store ----------
+// Keeps rows in the same { id, createdTime, fields } shape Airtable returns, so the
+// rest of the server cannot tell the two stores apart. Intended for development,
+// CI and deployments without an Airtable base.
+export function createLocalStore({ filePath }) {
+  const file = createJsonFile(filePath, { label: "Local store" });
+  let rows = null;
+  let loading = null;
+
+  // Every caller awaits the same read, so rows created while it is in flight are never
+  // replaced by a second copy of the file. A failed read is retried by the next caller.
+  function load() {
+    loading ||= file.read({}).then(data => (rows = data.records || []), (e) => {
+      loading = null;
+      throw e;
+    });
+    return loading;
+  }
+
+  const persist = () => file.write({ records: rows });
+
+  const copy = (row) => JSON.parse(JSON.stringify(row));
+
+  async function findRow(id) {
+    const row = (await load()).find(r => r.id === id);
+    if (!row) throw new Error(`Local store get failed: 404 (${id})`);
+    return row;
+  }
+
+  return {
+    name: "local",
+
+    async createRow(fields) {
+      await load();
+      const row = { id: `rec${crypto.randomBytes(7).toString("hex")}`, createdTime: new Date().toISOString(), fields: { ...fields } };
+      rows.push(row);
+      await persist();
+      return row.id;
+    },
+
+    async ping() {
+      await load();
+    },
+
+    async patchRow(id, fields) {
+      const row = await findRow(id);
+      Object.assign(row.fields, fields);
+      await persist();
+    },
+
+    async getRow(recordId) {
+      return copy(await findRow(recordId));
+    },
+
+    async getPendingRows(stuckMinutes) {
+      const cutoff = Date.now() - stuckMinutes * 60 * 1000;
+      return (await load())
+        .filter(r => r.fields.Status === "processing" && Date.parse(r.fields["Last Update"] || 0) < cutoff)
+        .map(copy);
+    },
+
+    // Offsets are plain indexes into the filtered, newest-first list.
+    async listRows({ status, provider, runId, ownerKey, pageSize = 20, offset } = {}) {
+      const matches = (await load())
+        .filter(r => (!status || r.fields.Status === status)
+          && (!provider || r.fields.Provider === provider)
+          && (!runId || r.fields["Run ID"] === runId)
+          && (!ownerKey || r.fields["Submitted By Key"] === ownerKey))
+        .sort((a, b) => String(b.fields["Created At"] || b.createdTime).localeCompare(String(a.fields["Created At"] || a.createdTime)));
+      const start = Number(offset) || 0;
+      const next = start + pageSize;
+      return { records: matches.slice(start, next).map(copy), offset: next < matches.length ? String(next) : null };
+    },
+
+    // A lease is a small lock file next to the store, created with O_EXCL so two
+    // processes cannot both create it; an expired lease is taken over in place.
+    async acquireLease(name, owner, ttlMs) {
+      const leasePath = `${filePath}.${name}.lease`;
+      const lease = JSON.stringify({ owner, expiresAt: Date.now() + ttlMs });
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        await fs.writeFile(leasePath, lease, { flag: "wx" });
+        return true;
+      } catch (e) {
+        if (e.code !== "EEXIST") throw e;
+      }
+      let holder;
+      try {
+        holder = JSON.parse(await fs.readFile(leasePath, "utf8"));
+      } catch {
+        holder = {};
+      }
+      if (holder.owner !== owner && holder.expiresAt > Date.now()) return false;
+      await fs.writeFile(leasePath, lease);
+      return true;
+    },
+
+    async getRowsCreatedSince(iso) {
+      const since = Date.parse(iso);
+      return (await load()).filter(r => Date.parse(r.fields["Created At"] || r.createdTime) > since).map(copy);
+    },
+
+    async findRowByRunId(runId) {
+      const row = (await load()).find(r => r.fields["Run ID"] === runId);
+      return row ? copy(row) : null;
+    },
+  };
+}
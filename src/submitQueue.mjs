@@ -0,0 +1,53 @@
+// ---------- Per-Provider Submission Queue ----------
+// Every provider submission goes through a lane for its provider. A lane runs at most
+// `concurrency` submissions at once and starts at most `ratePerMinute` per minute,
+// so large imports drain steadily instead of tripping provider rate limits.
+export function createSubmitQueue({ limitsFor }) {
+  const lanes = new Map();
+
+  function laneFor(name) {
+    if (!lanes.has(name)) {
+      lanes.set(name, { name, limits: limitsFor(name), running: 0, waiting: [], nextStartAt: 0, timer: null });
+    }
+    return lanes.get(name);
+  }
+
+  function pump(lane) {
+    while (lane.running < lane.limits.concurrency && lane.waiting.length > 0) {
+      const wait = lane.nextStartAt - Date.now();
+      if (wait > 0) {
+        if (!lane.timer) {
+          lane.timer = setTimeout(() => {
+            lane.timer = null;
+            pump(lane);
+          }, wait);
+        }
+        return;
+      }
+      const item = lane.waiting.shift();
+      lane.running++;
+      lane.nextStartAt = Date.now() + 60000 / lane.limits.ratePerMinute;
+      Promise.resolve()
+        .then(item.task)
+        .then(item.resolve, item.reject)
+        .finally(() => {
+          lane.running--;
+          pump(lane);
+        });
+    }
+  }
+
+  return {
+    run(name, task) {
+      const lane = laneFor(name);
+      return new Promise((resolve, reject) => {
+        lane.waiting.push({ task, resolve, reject });
+        pump(lane);
+      });
+    },
+
+    stats() {
+      return Object.fromEntries([...lanes.values()].map(l => [l.name, { running: l.running, waiting: l.waiting.length, ...l.limits }]));
+    },
+  };
+}
@@ -0,0 +1,56 @@
+// ---------- Prompt Matrix / Parameter Sweeps ----------
+// A sweep turns one form submission into every combination of:
+//   - prompt alternatives: "a {red|blue} car at {time:dawn|night}" (unnamed groups become var1, var2, ...)
+//   - a list of seeds
+//   - a list of sizes ("1024x1024, 768x1344")
+// Each combination is { prompt, params, vars }, where vars records the values that produced it.
+const GROUP = /\{([^{}]*\|[^{}]*)\}/g;
+
+export function parsePromptTemplate(template) {
+  const variables = [];
+  let unnamed = 0;
+  const text = String(template).replace(GROUP, (_match, body) => {
+    const named = body.match(/^\s*(\w+)\s*:(.*)$/s);
+    const name = named ? named[1] : `var${++unnamed}`;
+    const options = (named ? named[2] : body).split("|").map(s => s.trim());
+    variables.push({ name, options });
+    return `\u0000${variables.length - 1}\u0000`;
+  });
+  return { text, variables };
+}
+
+const cartesian = (lists) => lists.reduce((acc, list) => acc.flatMap(prev => list.map(item => [...prev, item])), [[]]);
+
+export function parseList(value) {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  return String(value || "").split(",").map(s => s.trim()).filter(Boolean);
+}
+
+// Returns { combinations } or throws a message-carrying Error when the sweep is invalid.
+export function expandSweep({ prompt, seeds, sizes, params = {} }, { maxCombinations }) {
+  const { text, variables } = parsePromptTemplate(prompt);
+  const seedList = parseList(seeds);
+  const sizeList = parseList(sizes).map(size => {
+    const match = size.match(/^(\d+)\s*[x*×]\s*(\d+)$/i);
+    if (!match) throw new Error(`Invalid size "${size}". Use WIDTHxHEIGHT.`);
+    return { width: Number(match[1]), height: Number(match[2]) };
+  });
+
+  const dimensions = [
+    ...variables.map(v => v.options.map(option => ({ [v.name]: option }))),
+    sizeList.length ? sizeList.map(s => ({ size: `${s.width}x${s.height}` })) : [{}],
+    seedList.length ? seedList.map(seed => ({ seed })) : [{}],
+  ];
+  const total = dimensions.reduce((n, d) => n * d.length, 1);
+  if (total > maxCombinations) throw new Error(`Sweep expands to ${total} combinations (limit ${maxCombinations}).`);
+
+  const combinations = cartesian(dimensions).map(parts => {
+    const vars = Object.assign({}, ...parts);
+    const filled = text.replace(/\u0000(\d+)\u0000/g, (_m, i) => vars[variables[i].name]);
+    const comboParams = { ...params };
+    if (vars.size) Object.assign(comboParams, sizeList.find(s => `${s.width}x${s.height}` === vars.size));
+    if (vars.seed !== undefined) comboParams.seed = vars.seed;
+    return { prompt: filled, params: comboParams, vars };
+  });
+  return { combinations };
+}
@@ -0,0 +1,67 @@
+import crypto from "crypto";
+
+// ---------- Webhook Authentication ----------
+// Every webhook URL we hand to a provider carries a server-generated HMAC over
+// (provider, record, run, issue time). Deliveries are accepted only if that token is
+// intact, not older than maxAgeMs, and the run id matches the stored "Run ID".
+// Provider-native signatures are checked on top of this by the adapters.
+export function createWebhookAuth({ secret, maxAgeMs, replayTtlMs = 24 * 60 * 60 * 1000 }) {
+  const sign = (slug, recordId, runId, ts) =>
+    crypto.createHmac("sha256", secret).update(`${slug}:${recordId}:${runId}:${ts}`).digest("hex");
+
+  // Delivery keys we have already processed successfully, with their expiry time.
+  const deliveries = new Map();
+  const MAX_REMEMBERED = 50000;
+
+  function prune() {
+    const now = Date.now();
+    for (const [key, expires] of deliveries) {
+      if (expires <= now) deliveries.delete(key);
+    }
+    for (const key of deliveries.keys()) {
+      if (deliveries.size <= MAX_REMEMBERED) break;
+      deliveries.delete(key);
+    }
+  }
+
+  return {
+    // Query string (without leading "?") to append to /webhooks/<slug>
+    queryFor(slug, recordId, runId) {
+      const ts = Date.now();
+      const params = new URLSearchParams({ record_id: recordId, run_id: runId, ts: String(ts), sig: sign(slug, recordId, runId, ts) });
+      return params.toString();
+    },
+
+    // Returns an error message, or null when the token is valid.
+    verifyToken(slug, query) {
+      const { record_id: recordId, run_id: runId, ts, sig } = query;
+      if (!runId || !ts || !sig) return "Missing webhook token";
+      const issuedAt = Number(ts);
+      if (!Number.isFinite(issuedAt) || issuedAt > Date.now() + 60 * 1000) return "Invalid webhook timestamp";
+      if (Date.now() - issuedAt > maxAgeMs) return "Webhook token expired";
+
+      const expected = Buffer.from(sign(slug, recordId, runId, issuedAt), "hex");
+      const given = Buffer.from(String(sig), "hex");
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return "Invalid webhook signature";
+      return null;
+    },
+
+    isReplay(deliveryKey) {
+      const expires = deliveries.get(deliveryKey);
+      return expires !== undefined && expires > Date.now();
+    },
+
+    // Only called once a delivery was processed, so a provider retrying after a 5xx still gets through.
+    remember(deliveryKey) {
+      deliveries.set(deliveryKey, Date.now() + replayTtlMs);
+      if (deliveries.size > MAX_REMEMBERED) prune();
+    },
+  };
+}
+
+// Constant-time comparison for signatures of possibly different lengths.
+export function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
@@ -0,0 +1,131 @@
+import zlib from "zlib";
+
+// ---------- Streaming ZIP Writer ----------
+// Writes a ZIP archive entry by entry to a writable stream (an Express response), so an
+// export of many runs never sits in memory as a whole; only the entry being added does.
+// Media that is already compressed (PNG, JPEG, WebP, video) is stored as is, everything
+// else is deflated. No ZIP64: an archive holds at most 65535 entries and 4 GiB.
+const MAX_ENTRIES = 0xffff;
+const MAX_OFFSET = 0xffffffff;
+const STORE = 0;
+const DEFLATE = 8;
+const UTF8_NAMES = 0x0800;
+const PRECOMPRESSED = /^(image\/(png|jpeg|webp|gif|avif)|video\/|audio\/|application\/(zip|gzip))/;
+
+// zlib.crc32 only exists from Node 20.15 / 22.2, and package.json allows Node 18.
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// Resolves once the stream takes more data; rejects if the client went away first.
+function drained(output) {
+  return new Promise((resolve, reject) => {
+    const done = (err) => {
+      output.off("drain", onDrain);
+      output.off("close", onClose);
+      if (err) reject(err);
+      else resolve();
+    };
+    const onDrain = () => done();
+    const onClose = () => done(new Error("Client closed the connection"));
+    output.on("drain", onDrain);
+    output.on("close", onClose);
+  });
+}
+
+export function createZipWriter(output) {
+  const entries = [];
+  const names = new Set();
+  let offset = 0;
+
+  async function write(chunk) {
+    if (output.destroyed) throw new Error("Client closed the connection");
+    offset += chunk.length;
+    if (!output.write(chunk)) await drained(output);
+  }
+
+  // "a.png" becomes "a-2.png" when the name is already taken.
+  function uniqueName(name) {
+    let candidate = name;
+    for (let n = 2; names.has(candidate); n++) candidate = name.replace(/(\.[^./]*)?$/, (ext) => `-${n}${ext || ""}`);
+    names.add(candidate);
+    return candidate;
+  }
+
+  return {
+    // Adds one file and returns the name it was stored under.
+    async addFile(name, buffer, { date = new Date(), mimeType = "" } = {}) {
+      if (entries.length >= MAX_ENTRIES) throw new Error(`A ZIP export holds at most ${MAX_ENTRIES} files`);
+      const storedName = uniqueName(name);
+      const nameBytes = Buffer.from(storedName, "utf8");
+      const method = PRECOMPRESSED.test(mimeType) ? STORE : DEFLATE;
+      const data = method === DEFLATE ? zlib.deflateRawSync(buffer) : buffer;
+      const entry = { nameBytes, method, crc: crc32(buffer), compressedSize: data.length, size: buffer.length, offset, ...dosDateTime(date) };
+      if (offset + 30 + nameBytes.length + data.length > MAX_OFFSET) throw new Error("A ZIP export is limited to 4 GiB");
+
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(UTF8_NAMES, 6);
+      header.writeUInt16LE(method, 8);
+      header.writeUInt16LE(entry.time, 10);
+      header.writeUInt16LE(entry.date, 12);
+      header.writeUInt32LE(entry.crc, 14);
+      header.writeUInt32LE(entry.compressedSize, 18);
+      header.writeUInt32LE(entry.size, 22);
+      header.writeUInt16LE(nameBytes.length, 26);
+      header.writeUInt16LE(0, 28);
+      await write(header);
+      await write(nameBytes);
+      await write(data);
+      entries.push(entry);
+      return storedName;
+    },
+
+    // Writes the central directory. The caller ends the stream.
+    async finish() {
+      const directoryOffset = offset;
+      for (const entry of entries) {
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(20, 4);
+        record.writeUInt16LE(20, 6);
+        record.writeUInt16LE(UTF8_NAMES, 8);
+        record.writeUInt16LE(entry.method, 10);
+        record.writeUInt16LE(entry.time, 12);
+        record.writeUInt16LE(entry.date, 14);
+        record.writeUInt32LE(entry.crc, 16);
+        record.writeUInt32LE(entry.compressedSize, 20);
+        record.writeUInt32LE(entry.size, 24);
+        record.writeUInt16LE(entry.nameBytes.length, 28);
+        // Extra field, comment, disk number, internal and external attributes stay zero.
+        record.writeUInt32LE(entry.offset, 42);
+        await write(record);
+        await write(entry.nameBytes);
+      }
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - directoryOffset, 12);
+      end.writeUInt32LE(directoryOffset, 16);
+      await write(end);
+    },
+  };
+}